@@ -5,6 +5,14 @@ import authRoute from './routes/auth.js';
 import cvReaderRoute from './routes/cv_reader.js';
 import cvEnhancerRoute from './routes/cv_enchancer.js';
 import SearchRoute from './routes/search.js'
+import adminRoute from './routes/admin.js';
+import reviewRoute from './routes/review.js';
+import sharesRoute from './routes/shares.js';
+import publicSharesRoute from './routes/publicShares.js';
+import templatesRoute from './routes/templates.js';
+import statsRoute from './routes/stats.js';
+import { authenticate, requireAdmin } from './middleware/auth.js';
+import { assertSchemaUpToDate } from './lib/migrator.js';
 dotenv.config();
 
 
@@ -12,6 +20,12 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Rate limits key on req.ip, which is only the client address when Express
+// knows how many proxies sit in front of it.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 
 app.use(cors());
 app.use(express.json());
@@ -19,13 +33,27 @@ app.use(express.json());
 
 // Routes
 app.use('/api/auth', authRoute);
-app.use('/api/cv_reader', cvReaderRoute);
-app.use('/api/cv_enhancer', cvEnhancerRoute);
-app.use('/api/search', SearchRoute);
-
-
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-
-});
+app.use('/api/cv_reader', authenticate, cvReaderRoute);
+app.use('/api/cv_enhancer', authenticate, cvEnhancerRoute);
+app.use('/api/search', authenticate, SearchRoute);
+app.use('/api/admin', authenticate, requireAdmin, adminRoute);
+app.use('/api/review', authenticate, reviewRoute);
+app.use('/api/shares', authenticate, sharesRoute);
+app.use('/api/public/shares', publicSharesRoute);
+app.use('/api/templates', authenticate, templatesRoute);
+app.use('/api/stats', authenticate, statsRoute);
+
+
+// Refuse to serve against a database that is missing migrations; routes would
+// otherwise fail at query time on columns that do not exist yet.
+assertSchemaUpToDate()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Schema check failed:', error.message);
+    process.exit(1);
+  });
 
@@ -0,0 +1,222 @@
+import { generateJson } from './ai.js';
+import {
+  QUESTION_TYPES,
+  DIFFICULTY_LEVELS,
+  TYPE_DESCRIPTIONS,
+  normalizeGenerationOptions
+} from './questionGeneration.js';
+
+const DEFAULT_ADAPTIVE_QUESTIONS = 8;
+const DEFAULT_MAX_FOLLOW_UPS = 2;
+const MAX_FOLLOW_UPS = 3;
+
+// Scores (0-100) at which the next question gets harder or easier.
+const STEP_UP_SCORE = 80;
+const STEP_DOWN_SCORE = 50;
+
+// Used when the model fails to produce the next question, so an adaptive
+// session never stalls after an answer has been stored.
+const FALLBACK_QUESTIONS = {
+  general: 'What are you looking for in your next role, and why?',
+  technical: 'Walk me through the most technically challenging piece of work on your CV. What would you do differently today?',
+  behavioral: 'Tell me about a time you disagreed with a teammate. How did you handle it and what was the outcome?',
+  cv_specific: 'Pick one achievement from your CV and explain exactly what your contribution was.',
+  job_specific: 'Which requirement of this role do you expect to find hardest, and how would you close that gap?'
+};
+
+// Validates the `options` body of /adaptive/start. Accepts the same fields as
+// /generate-questions except `difficulty`, since difficulty is decided answer
+// by answer, plus:
+//
+//   maxFollowUps        follow-ups allowed per main question, 0-3 (default 2)
+//   startingDifficulty  difficulty of the first question (default medium)
+//
+// totalQuestions counts main questions only; follow-ups come on top.
+export function normalizeAdaptiveOptions(input = {}, { hasJobDescription = false } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['options must be an object'] };
+  }
+
+  const { maxFollowUps, startingDifficulty, difficulty, ...generationInput } = input;
+  const errors = [];
+
+  if (difficulty !== undefined) {
+    errors.push('difficulty is adjusted automatically in adaptive mode; use startingDifficulty instead');
+  }
+
+  if (maxFollowUps !== undefined && (!Number.isInteger(maxFollowUps) || maxFollowUps < 0 || maxFollowUps > MAX_FOLLOW_UPS)) {
+    errors.push(`maxFollowUps must be an integer between 0 and ${MAX_FOLLOW_UPS}`);
+  }
+
+  if (startingDifficulty !== undefined && !DIFFICULTY_LEVELS.includes(startingDifficulty)) {
+    errors.push(`startingDifficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`);
+  }
+
+  if (generationInput.totalQuestions === undefined && generationInput.typeCounts === undefined) {
+    generationInput.totalQuestions = DEFAULT_ADAPTIVE_QUESTIONS;
+  }
+
+  const generation = normalizeGenerationOptions(generationInput, { hasJobDescription });
+  if (generation.errors) {
+    errors.push(...generation.errors);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const { difficultyCounts, ...options } = generation.options;
+  return {
+    options: {
+      ...options,
+      maxFollowUps: maxFollowUps ?? DEFAULT_MAX_FOLLOW_UPS,
+      startingDifficulty: startingDifficulty || 'medium'
+    }
+  };
+}
+
+// One level harder after a strong answer, one easier after a weak one.
+// Ungraded answers leave the difficulty where it was.
+export function adjustDifficulty(current, score) {
+  const index = Math.max(0, DIFFICULTY_LEVELS.indexOf(current));
+  if (typeof score !== 'number') return DIFFICULTY_LEVELS[index];
+  if (score >= STEP_UP_SCORE) return DIFFICULTY_LEVELS[Math.min(index + 1, DIFFICULTY_LEVELS.length - 1)];
+  if (score < STEP_DOWN_SCORE) return DIFFICULTY_LEVELS[Math.max(index - 1, 0)];
+  return DIFFICULTY_LEVELS[index];
+}
+
+// The type with the most main questions still owed; ties go to the earlier
+// entry in QUESTION_TYPES, so sessions open with a general question.
+function pickNextType(typeCounts, mainQuestions) {
+  const remaining = Object.fromEntries(QUESTION_TYPES.map(type => [type, typeCounts[type] || 0]));
+  for (const question of mainQuestions) {
+    remaining[question.question_type] -= 1;
+  }
+
+  return QUESTION_TYPES.reduce((best, type) => (remaining[type] > remaining[best] ? type : best));
+}
+
+// Works out what the session should do next from its thread so far: which
+// question is being probed, whether a follow-up is still allowed, and the
+// type and difficulty of the next main question.
+export function planNextStep(options, questions, lastQuestion, lastScore) {
+  const mainQuestions = questions.filter(q => !q.parent_question_id);
+
+  if (!lastQuestion) {
+    return {
+      allowFollowUp: false,
+      allowNext: true,
+      nextType: pickNextType(options.typeCounts, mainQuestions),
+      difficulty: options.startingDifficulty
+    };
+  }
+
+  const rootId = lastQuestion.parent_question_id || lastQuestion.id;
+  const followUpCount = questions.filter(q => q.parent_question_id === rootId).length;
+  const allowNext = mainQuestions.length < options.totalQuestions;
+
+  return {
+    rootId,
+    rootType: questions.find(q => q.id === rootId)?.question_type || lastQuestion.question_type,
+    allowFollowUp: followUpCount < options.maxFollowUps,
+    allowNext,
+    nextType: allowNext ? pickNextType(options.typeCounts, mainQuestions) : null,
+    difficulty: adjustDifficulty(lastQuestion.difficulty_level, lastScore)
+  };
+}
+
+function createAdaptivePrompt(session, options, thread, plan) {
+  const transcript = thread.map(({ question, answer }) => [
+    `${question.is_follow_up ? 'Follow-up' : 'Question'} (${question.question_type}, ${question.difficulty_level}): ${question.question_text}`,
+    answer
+      ? `Candidate: ${answer.answer_text}${answer.score !== null ? `\n[Graded ${answer.score}/100${answer.summary ? `: ${answer.summary}` : ''}]` : ''}`
+      : 'Candidate: (no answer yet)'
+  ].join('\n')).join('\n\n');
+
+  const choices = [];
+  if (plan.allowFollowUp) {
+    choices.push(`- "follow_up": ask a probing follow-up on the candidate's LAST answer, e.g. to dig into a vague claim, a missing STAR element, a shallow technical point or an interesting detail worth testing. The follow-up stays on the same topic (${plan.rootType}).`);
+  }
+  if (plan.allowNext) {
+    choices.push(`- "next": move on to a new ${plan.nextType} question. ${TYPE_DESCRIPTIONS[plan.nextType]}. Do not repeat a topic already covered.`);
+  } else {
+    choices.push('- "finish": end the interview; every planned topic has been covered. Leave "question" and "answer" empty.');
+  }
+
+  return `You are an expert interviewer running a live, conversational mock interview. You ask ONE question at a time and decide what to ask next from how the candidate answered.
+
+CV:
+${session.cv_text}
+
+${session.job_description ? `Job Description:\n${session.job_description}\n` : ''}${options.seniority ? `Seniority: the candidate is interviewing at ${options.seniority} level.\n` : ''}
+Interview so far:
+${transcript || '(the interview has not started yet; ask the opening question)'}
+
+Choose exactly one action:
+${choices.join('\n')}
+
+Prefer "follow_up" only when the last answer leaves something worth probing; move on when it was complete or clearly off track.
+
+The next question must be ${plan.difficulty} difficulty. Write it and its suggested answer in ${options.language}, and write the suggested answer in the first person as a strong candidate with this CV would give it.
+
+CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown, no extra text.
+
+Format:
+{
+  "action": "${[plan.allowFollowUp && 'follow_up', plan.allowNext ? 'next' : 'finish'].filter(Boolean).join('|')}",
+  "reason": "One sentence on why you chose this action",
+  "question": "The question to ask",
+  "answer": "Suggested answer"
+}`;
+}
+
+// Asks the model for the next question in the thread. The action is
+// constrained by the plan whatever the model says, and type and difficulty
+// always come from the plan rather than the model. Returns a null question
+// when the interview should finish.
+export async function generateNextQuestion(session, options, thread, plan) {
+  let result;
+  try {
+    result = await generateJson(createAdaptivePrompt(session, options, thread, plan));
+  } catch (error) {
+    console.error('Error generating adaptive question:', error);
+    result = {};
+  }
+
+  const closingAction = plan.allowNext ? 'next' : 'finish';
+  const action = result.action === 'follow_up' && plan.allowFollowUp ? 'follow_up' : closingAction;
+  const reason = typeof result.reason === 'string' ? result.reason : null;
+
+  if (action === 'finish') {
+    return { action, reason, question: null };
+  }
+
+  const questionType = action === 'follow_up' ? plan.rootType : plan.nextType;
+  const hasQuestion = typeof result.question === 'string' && result.question.trim();
+
+  return {
+    action,
+    reason,
+    question: {
+      question_text: hasQuestion
+        ? result.question.trim()
+        : action === 'follow_up'
+          ? 'Can you go deeper on your last answer with a concrete example, including what you did and what the outcome was?'
+          : FALLBACK_QUESTIONS[questionType],
+      question_type: questionType,
+      difficulty_level: plan.difficulty,
+      suggested_answer: typeof result.answer === 'string' && result.answer.trim() ? result.answer : 'Answer not provided',
+      parent_question_id: action === 'follow_up' ? plan.rootId : null,
+      is_follow_up: action === 'follow_up'
+    }
+  };
+}
+
+// Pairs each question with its attempts, in asking order. `answer` is the
+// latest attempt, which is what the interviewer reacts to.
+export function buildThread(questions, answers) {
+  return questions.map(question => {
+    const attempts = answers.filter(answer => answer.question_id === question.id);
+    return { question, attempts, answer: attempts[attempts.length - 1] || null };
+  });
+}
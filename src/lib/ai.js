@@ -0,0 +1,33 @@
+import { GoogleGenAI } from "@google/genai";
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DEFAULT_MODEL = "gemini-2.0-flash";
+
+export const ai = new GoogleGenAI({ apiKey: process.env.GEMENI_API_KEY });
+
+// Pulls the first JSON object or array out of a model response, tolerating
+// markdown fences and prose around it.
+export function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidate = fenced ? fenced[1] : text;
+
+  const start = candidate.search(/[[{]/);
+  if (start === -1) {
+    throw new Error('No JSON found in AI response');
+  }
+
+  const closing = candidate[start] === '{' ? '}' : ']';
+  const end = candidate.lastIndexOf(closing);
+  if (end <= start) {
+    throw new Error('No JSON found in AI response');
+  }
+
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+export async function generateJson(prompt, { model = DEFAULT_MODEL } = {}) {
+  const response = await ai.models.generateContent({ model, contents: prompt });
+  return extractJson(response.text);
+}
@@ -0,0 +1,70 @@
+import { withTransaction } from './dbConnect.js';
+import { gradeAnswer } from './grading.js';
+import { getNextAttemptNumber, insertAnswer, findAnswerById } from '../repositories/answerRepository.js';
+import { markQuestionAnswered } from '../repositories/questionRepository.js';
+import { recordReview } from './reviewQueue.js';
+import { qualityFromScore } from './srs.js';
+import { findSessionTemplateRubric } from './interviewTemplates.js';
+
+export const MAX_ANSWER_LENGTH = 10000;
+
+// mysql2 returns JSON columns parsed, but tolerate string values as well.
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export function formatAnswer(answer) {
+  return {
+    id: answer.id,
+    questionId: answer.question_id,
+    attempt: answer.attempt_number,
+    answer: answer.answer_text,
+    source: answer.source,
+    graded: answer.score !== null,
+    score: answer.score,
+    rubric: parseJsonColumn(answer.rubric),
+    summary: answer.summary,
+    tips: parseJsonColumn(answer.improvement_tips) || [],
+    createdAt: answer.created_at
+  };
+}
+
+// Grades and stores one attempt at a question. Grading happens before the
+// transaction so no locks are held during the AI call; if grading fails the
+// attempt is still stored, ungraded, so the user's answer is never lost.
+// A graded attempt also counts as a review of the question in the user's
+// spaced-repetition queue. Sessions generated from a template are graded
+// with the template's rubric.
+export async function submitAnswer({ question, userId, answerText, source = 'text' }) {
+  const templateRubric = await findSessionTemplateRubric(question, userId);
+
+  let grading = null;
+  try {
+    grading = await gradeAnswer(question, answerText, templateRubric);
+  } catch (error) {
+    console.error('Error grading answer:', error);
+  }
+
+  const answerId = await withTransaction(async (conn) => {
+    const attemptNumber = await getNextAttemptNumber(question.id, conn);
+    const id = await insertAnswer({
+      questionId: question.id,
+      userId,
+      attemptNumber,
+      answerText,
+      source,
+      grading
+    }, conn);
+    await markQuestionAnswered(question.id, conn);
+    if (grading) {
+      await recordReview({
+        userId,
+        questionId: question.id,
+        quality: qualityFromScore(grading.score),
+        source: 'ai',
+        score: grading.score
+      }, conn);
+    }
+    return id;
+  });
+
+  return formatAnswer(await findAnswerById(answerId));
+}
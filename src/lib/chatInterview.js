@@ -0,0 +1,189 @@
+import { ai, DEFAULT_MODEL, generateJson } from './ai.js';
+import { normalizeGenerationOptions } from './questionGeneration.js';
+import { readRubric, rubricScore } from './grading.js';
+
+export const MAX_CHAT_MESSAGE_LENGTH = 4000;
+
+const DEFAULT_MAX_TURNS = 10;
+const MIN_MAX_TURNS = 3;
+const MAX_MAX_TURNS = 30;
+
+// Used when the model fails to reply, so the conversation never stalls with
+// the candidate's message unanswered.
+const FALLBACK_REPLIES = {
+  opening: 'Thanks for joining me today. To start, could you walk me through your background and what brings you to this role?',
+  reply: 'Thanks. Could you give me a specific example of that, including what you did yourself and how it turned out?',
+  closing: 'Thank you, that brings us to the end of the interview. I appreciate your time, and you will hear from us about next steps.'
+};
+
+// Validates the `options` body of /chat/start:
+//
+//   maxTurns   candidate messages before the interviewer wraps up, 3-30
+//              (default 10)
+//   seniority  as for /generate-questions
+//   language   as for /generate-questions
+//
+// A template supplies the interviewer's persona, focus areas, instructions
+// and evaluation rubric.
+export function normalizeChatOptions(input = {}, { hasJobDescription = false, template = null } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['options must be an object'] };
+  }
+
+  const { maxTurns, seniority, language } = input;
+  const errors = [];
+
+  if (maxTurns !== undefined && (!Number.isInteger(maxTurns) || maxTurns < MIN_MAX_TURNS || maxTurns > MAX_MAX_TURNS)) {
+    errors.push(`maxTurns must be an integer between ${MIN_MAX_TURNS} and ${MAX_MAX_TURNS}`);
+  }
+
+  const generation = normalizeGenerationOptions({ seniority, language }, { hasJobDescription, template });
+  if (generation.errors) {
+    errors.push(...generation.errors);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    options: {
+      maxTurns: maxTurns ?? DEFAULT_MAX_TURNS,
+      seniority: generation.options.seniority,
+      language: generation.options.language,
+      template: generation.options.template
+    }
+  };
+}
+
+export const formatChatMessage = (message) => ({
+  id: message.id,
+  role: message.role,
+  content: message.content,
+  createdAt: message.created_at
+});
+
+// Where the conversation stands. It is finished once the interviewer has
+// replied to the candidate's last allowed message.
+export function describeChat(options, messages) {
+  const candidateTurns = messages.filter(message => message.role === 'candidate').length;
+  const last = messages[messages.length - 1];
+
+  return {
+    candidateTurns,
+    maxTurns: options.maxTurns,
+    finished: candidateTurns >= options.maxTurns && last?.role === 'interviewer'
+  };
+}
+
+const formatTranscript = (messages) => messages
+  .map(message => `${message.role === 'interviewer' ? 'Interviewer' : 'Candidate'}: ${message.content}`)
+  .join('\n\n');
+
+function createInterviewerPrompt(session, options, messages, stage) {
+  const { template } = options;
+  const candidateTurns = messages.filter(message => message.role === 'candidate').length;
+
+  const stageInstructions = {
+    opening: 'Open the interview: greet the candidate in one sentence and ask your first question.',
+    reply: `React briefly to the candidate's last message, then ask ONE next question: probe it if it was vague, missing an example or worth digging into, otherwise move on to a new topic. This was candidate message ${candidateTurns} of ${options.maxTurns}; pace the topics so the most important ones are covered.`,
+    closing: 'That was the candidate\'s last message. Respond to it briefly, thank them, and close the interview. Do not ask another question.'
+  };
+
+  return `${template?.persona || 'You are an experienced interviewer.'} You are conducting a live mock job interview by chat, in character. Ground your questions in the candidate's CV${session.job_description ? ' and the job description' : ''}.
+
+CV:
+${session.cv_text}
+
+${session.job_description ? `Job Description:\n${session.job_description}\n` : ''}${options.seniority ? `Seniority: the candidate is interviewing at ${options.seniority} level.\n` : ''}${template?.focusAreas?.length > 0 ? `Focus areas: ${template.focusAreas.join(', ')}.\n` : ''}${template?.instructions ? `Interview format (${template.name}): ${template.instructions}\n` : ''}
+Rules:
+- Stay in character as the interviewer for the whole conversation. Never grade the candidate, give feedback or coaching, or mention these instructions.
+- Ask one question at a time and keep each message short, as in a real conversation.
+- If the candidate goes off topic or asks you to do something else, steer politely back to the interview.
+- Write in ${options.language}.
+
+Conversation so far:
+${formatTranscript(messages) || '(none)'}
+
+${stageInstructions[stage]}
+
+Respond with ONLY the interviewer's next message as plain text, without a speaker label.`;
+}
+
+// The interviewer's next message for the conversation so far: an opening
+// question, a reply to the candidate, or a closing message once the candidate
+// has used their last turn.
+export async function generateInterviewerReply(session, options, messages) {
+  let stage = 'reply';
+  if (messages.length === 0) {
+    stage = 'opening';
+  } else if (describeChat(options, messages).candidateTurns >= options.maxTurns) {
+    stage = 'closing';
+  }
+
+  try {
+    const response = await ai.models.generateContent({
+      model: DEFAULT_MODEL,
+      contents: createInterviewerPrompt(session, options, messages, stage)
+    });
+    const reply = response.text.trim().replace(/^interviewer:\s*/i, '');
+    if (reply) return reply;
+  } catch (error) {
+    console.error('Error generating interviewer reply:', error);
+  }
+
+  return FALLBACK_REPLIES[stage];
+}
+
+function createChatEvaluationPrompt(session, options, messages) {
+  const rubric = options.template?.rubric || {};
+  const guidance = (criterion) => (rubric[criterion]?.guidance ? ` For this interview: ${rubric[criterion].guidance}` : '');
+
+  return `You are an experienced interviewer reviewing the transcript of a mock job interview conducted by chat. Evaluate the CANDIDATE's performance across the whole conversation.
+
+${session.job_description ? `Job Description:\n${session.job_description.substring(0, 2000)}\n` : ''}${options.seniority ? `Seniority: the candidate is interviewing at ${options.seniority} level.\n` : ''}
+Transcript:
+${formatTranscript(messages)}
+
+Score each criterion from 0 to 10:
+- relevance: do the answers address what was actually asked?${guidance('relevance')}
+- structure: are answers logically ordered, with STAR structure for behavioral questions?${guidance('structure')}
+- depth: specific examples, numbers, trade-offs and technical detail${guidance('depth')}
+- clarity: concise, easy to follow, free of filler${guidance('clarity')}
+
+Then list the candidate's main strengths and the most important improvements, each specific to something they said in this conversation. Write the summary, comments, strengths and improvements in ${options.language}.
+
+CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown, no extra text.
+
+Format:
+{
+  "rubric": {
+    "relevance": { "score": 0, "comment": "one sentence" },
+    "structure": { "score": 0, "comment": "one sentence" },
+    "depth": { "score": 0, "comment": "one sentence" },
+    "clarity": { "score": 0, "comment": "one sentence" }
+  },
+  "summary": "2-3 sentences on the overall performance",
+  "strengths": ["specific strength"],
+  "improvements": ["specific improvement"]
+}`;
+}
+
+const stringList = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string').slice(0, 5) : []);
+
+// Evaluates the whole conversation. As with graded answers, the overall
+// score is derived from the rubric rather than taken from the model.
+export async function evaluateChat(session, options, messages) {
+  const result = await generateJson(createChatEvaluationPrompt(session, options, messages));
+  const rubric = readRubric(result.rubric);
+
+  return {
+    score: rubricScore(rubric, options.template?.rubric),
+    rubric,
+    summary: typeof result.summary === 'string' ? result.summary : '',
+    strengths: stringList(result.strengths),
+    improvements: stringList(result.improvements),
+    candidateTurns: describeChat(options, messages).candidateTurns,
+    generatedAt: new Date().toISOString()
+  };
+}
@@ -1,28 +1,47 @@
-import mysql from 'mysql2';
+import mysql from 'mysql2/promise';
 import dotenv from 'dotenv';
 import fs from 'fs';
 
 dotenv.config();
 
-const db = mysql.createConnection({
+const db = mysql.createPool({
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
   waitForConnections: true,
-  connectionLimit: 10,
+  connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT, 10) || 10,
   queueLimit: 0,
    ssl: {
     ca: fs.readFileSync(process.env.CA)
    }
  });
 
-db.connect(err => {
-  if (err) {
+db.getConnection()
+  .then(connection => {
+    console.log('✅ Connected to MySQL');
+    connection.release();
+  })
+  .catch(err => {
     console.error('❌ MySQL connection failed:', err.stack);
-    return;
+  });
+
+// Runs fn with a dedicated connection inside a transaction. Repository
+// functions accept that connection as their last argument; anything fn
+// throws rolls the whole unit back.
+export async function withTransaction(fn) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
-  console.log('✅ Connected to MySQL');
-});
+}
 
 export default db;
@@ -0,0 +1,90 @@
+import { generateJson } from './ai.js';
+
+export const RUBRIC_CRITERIA = ['relevance', 'structure', 'depth', 'clarity'];
+
+const clampScore = (value) => Math.min(10, Math.max(0, Math.round(Number(value) || 0)));
+
+// An interview template's rubric adds guidance per criterion and may weight
+// criteria differently; criteria it leaves out keep a weight of 1.
+const criterionWeight = (templateRubric, criterion) => templateRubric?.[criterion]?.weight ?? 1;
+
+function createGradingPrompt(question, answerText, templateRubric) {
+  const structureGuidance = question.question_type === 'behavioral'
+    ? 'For this behavioral question, judge structure by the STAR method (Situation, Task, Action, Result) and note which parts are missing.'
+    : 'Judge structure by whether the answer is logically ordered: a direct answer first, then supporting detail and examples.';
+  const extra = (criterion) => (templateRubric?.[criterion]?.guidance
+    ? ` For this interview: ${templateRubric[criterion].guidance}`
+    : '');
+
+  return `You are an experienced interviewer grading a candidate's answer to an interview question.
+
+Question (${question.question_type}, ${question.difficulty_level}):
+${question.question_text}
+
+Reference answer (one strong example, not the only acceptable answer):
+${question.suggested_answer || 'Not available'}
+
+Candidate's answer:
+${answerText}
+
+Score each criterion from 0 to 10:
+- relevance: does the answer address what was actually asked?${extra('relevance')}
+- structure: ${structureGuidance}${extra('structure')}
+- depth: specific examples, numbers, trade-offs and technical detail appropriate to the difficulty level${extra('depth')}
+- clarity: concise, easy to follow, free of filler${extra('clarity')}
+
+Then give 2-4 concrete improvement tips. Each tip must name something specific the candidate should add, cut or rephrase in THIS answer; avoid generic advice.
+
+CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown, no extra text.
+
+Format:
+{
+  "rubric": {
+    "relevance": { "score": 0, "comment": "one sentence" },
+    "structure": { "score": 0, "comment": "one sentence" },
+    "depth": { "score": 0, "comment": "one sentence" },
+    "clarity": { "score": 0, "comment": "one sentence" }
+  },
+  "summary": "Two sentences on the overall quality of the answer",
+  "tips": ["specific tip", "specific tip"]
+}`;
+}
+
+// Clamps the per-criterion scores (0-10) and comments from a model response
+// into a complete rubric.
+export function readRubric(modelRubric) {
+  const rubric = {};
+  for (const criterion of RUBRIC_CRITERIA) {
+    const entry = modelRubric?.[criterion] || {};
+    rubric[criterion] = {
+      score: clampScore(entry.score),
+      comment: typeof entry.comment === 'string' ? entry.comment : ''
+    };
+  }
+  return rubric;
+}
+
+// The overall score (0-100) of a rubric, weighted by the template rubric if
+// there is one.
+export function rubricScore(rubric, templateRubric = null) {
+  const weight = (criterion) => criterionWeight(templateRubric, criterion);
+  const total = RUBRIC_CRITERIA.reduce((sum, criterion) => sum + rubric[criterion].score * weight(criterion), 0);
+  const totalWeight = RUBRIC_CRITERIA.reduce((sum, criterion) => sum + weight(criterion), 0);
+  return Math.round((total / (totalWeight * 10)) * 100);
+}
+
+// Grades an answer against its question and suggested answer. The overall
+// score (0-100) is derived from the rubric here rather than taken from the
+// model, so it always agrees with the breakdown. templateRubric is the
+// session's interview template rubric, if it has one.
+export async function gradeAnswer(question, answerText, templateRubric = null) {
+  const result = await generateJson(createGradingPrompt(question, answerText, templateRubric));
+  const rubric = readRubric(result.rubric);
+
+  return {
+    score: rubricScore(rubric, templateRubric),
+    rubric,
+    summary: typeof result.summary === 'string' ? result.summary : '',
+    tips: Array.isArray(result.tips) ? result.tips.filter(tip => typeof tip === 'string').slice(0, 5) : []
+  };
+}
@@ -0,0 +1,202 @@
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, MAX_QUESTIONS } from './questionGeneration.js';
+import { RUBRIC_CRITERIA } from './grading.js';
+import { findSessionForUser } from '../repositories/sessionRepository.js';
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_FOCUS_AREAS = 10;
+const MAX_FOCUS_AREA_LENGTH = 100;
+const MAX_PERSONA_LENGTH = 1000;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_GUIDANCE_LENGTH = 500;
+const MAX_RUBRIC_WEIGHT = 5;
+
+// mysql2 returns JSON columns parsed, but tolerate string values as well.
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function formatTemplate(template) {
+  return {
+    id: template.id,
+    slug: template.slug,
+    builtIn: template.user_id === null,
+    name: template.name,
+    description: template.description,
+    totalQuestions: template.total_questions,
+    typeWeights: parseJsonColumn(template.type_weights),
+    difficultyWeights: parseJsonColumn(template.difficulty_weights),
+    focusAreas: parseJsonColumn(template.focus_areas) || [],
+    persona: template.persona,
+    instructions: template.instructions,
+    rubric: parseJsonColumn(template.rubric) || {},
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+// What normalizeGenerationOptions needs from a template row.
+export function toGenerationTemplate(template) {
+  const formatted = formatTemplate(template);
+  return {
+    id: formatted.id,
+    name: formatted.name,
+    totalQuestions: formatted.totalQuestions,
+    typeWeights: formatted.typeWeights,
+    difficultyWeights: formatted.difficultyWeights,
+    focusAreas: formatted.focusAreas,
+    persona: formatted.persona,
+    instructions: formatted.instructions,
+    rubric: formatted.rubric
+  };
+}
+
+// The rubric of the interview template the question's session was
+// generated from, if any.
+export async function findSessionTemplateRubric(question, userId) {
+  const session = await findSessionForUser(question.session_id, userId);
+  return parseJsonColumn(session?.generation_options)?.template?.rubric || null;
+}
+
+function checkWeights(name, weights, allowedKeys, errors) {
+  if (!isPlainObject(weights)) {
+    errors.push(`${name} must be an object`);
+    return;
+  }
+
+  for (const [key, weight] of Object.entries(weights)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${name}.${key} is not one of ${allowedKeys.join(', ')}`);
+    } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      errors.push(`${name}.${key} must be a non-negative number`);
+    }
+  }
+
+  if (!Object.values(weights).some(weight => weight > 0)) {
+    errors.push(`${name} must give at least one key a positive weight`);
+  }
+}
+
+function checkText(name, value, maxLength, errors, { required = false } = {}) {
+  if (value === null && !required) return;
+  if (typeof value !== 'string' || (required && !value.trim()) || value.trim().length > maxLength) {
+    errors.push(required
+      ? `${name} must be between 1 and ${maxLength} characters`
+      : `${name} must be a string of at most ${maxLength} characters`);
+  }
+}
+
+function checkRubric(rubric, errors) {
+  if (!isPlainObject(rubric)) {
+    errors.push('rubric must be an object');
+    return;
+  }
+
+  for (const [criterion, entry] of Object.entries(rubric)) {
+    if (!RUBRIC_CRITERIA.includes(criterion)) {
+      errors.push(`rubric.${criterion} is not a rubric criterion (expected ${RUBRIC_CRITERIA.join(', ')})`);
+    } else if (!isPlainObject(entry)) {
+      errors.push(`rubric.${criterion} must be an object`);
+    } else {
+      if (entry.guidance !== undefined) {
+        checkText(`rubric.${criterion}.guidance`, entry.guidance, MAX_GUIDANCE_LENGTH, errors);
+      }
+      if (entry.weight !== undefined
+        && (!Number.isInteger(entry.weight) || entry.weight < 0 || entry.weight > MAX_RUBRIC_WEIGHT)) {
+        errors.push(`rubric.${criterion}.weight must be an integer between 0 and ${MAX_RUBRIC_WEIGHT}`);
+      }
+    }
+  }
+
+  // Criteria left out of the rubric keep a weight of 1.
+  const totalWeight = RUBRIC_CRITERIA.reduce((sum, criterion) => sum + (rubric[criterion]?.weight ?? 1), 0);
+  if (errors.length === 0 && totalWeight === 0) {
+    errors.push('rubric must give at least one criterion a positive weight');
+  }
+}
+
+function cleanRubric(rubric) {
+  return Object.fromEntries(Object.entries(rubric).map(([criterion, entry]) => [criterion, {
+    ...(typeof entry.guidance === 'string' && entry.guidance.trim() && { guidance: entry.guidance.trim() }),
+    ...(entry.weight !== undefined && { weight: entry.weight })
+  }]));
+}
+
+const trimOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// Validates the body of POST and PATCH /api/templates. Returns { fields }
+// with interview_templates column values for the properties present, or
+// { errors }. On create, name and typeWeights are required.
+export function parseTemplateInput(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) {
+    return { errors: ['Request body must be an object'] };
+  }
+
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    checkText('name', body.name ?? '', MAX_NAME_LENGTH, errors, { required: true });
+    fields.name = typeof body.name === 'string' ? body.name.trim() : body.name;
+  }
+
+  if (has('description')) {
+    checkText('description', body.description, MAX_DESCRIPTION_LENGTH, errors);
+    fields.description = trimOrNull(body.description);
+  }
+
+  if (has('totalQuestions')) {
+    if (body.totalQuestions !== null
+      && (!Number.isInteger(body.totalQuestions) || body.totalQuestions < 1 || body.totalQuestions > MAX_QUESTIONS)) {
+      errors.push(`totalQuestions must be an integer between 1 and ${MAX_QUESTIONS}`);
+    }
+    fields.total_questions = body.totalQuestions;
+  }
+
+  if (has('typeWeights') || !partial) {
+    checkWeights('typeWeights', body.typeWeights ?? null, QUESTION_TYPES, errors);
+    fields.type_weights = body.typeWeights;
+  }
+
+  if (has('difficultyWeights')) {
+    if (body.difficultyWeights !== null) {
+      checkWeights('difficultyWeights', body.difficultyWeights, DIFFICULTY_LEVELS, errors);
+    }
+    fields.difficulty_weights = body.difficultyWeights;
+  }
+
+  if (has('focusAreas')) {
+    if (!Array.isArray(body.focusAreas) || body.focusAreas.length > MAX_FOCUS_AREAS
+      || body.focusAreas.some(area => typeof area !== 'string' || !area.trim() || area.trim().length > MAX_FOCUS_AREA_LENGTH)) {
+      errors.push(`focusAreas must be an array of at most ${MAX_FOCUS_AREAS} non-empty strings of at most ${MAX_FOCUS_AREA_LENGTH} characters`);
+    } else {
+      fields.focus_areas = body.focusAreas.map(area => area.trim());
+    }
+  }
+
+  if (has('persona')) {
+    checkText('persona', body.persona, MAX_PERSONA_LENGTH, errors);
+    fields.persona = trimOrNull(body.persona);
+  }
+
+  if (has('instructions')) {
+    checkText('instructions', body.instructions, MAX_INSTRUCTIONS_LENGTH, errors);
+    fields.instructions = trimOrNull(body.instructions);
+  }
+
+  if (has('rubric')) {
+    if (body.rubric !== null) {
+      checkRubric(body.rubric, errors);
+    }
+    if (errors.length === 0) {
+      fields.rubric = body.rubric && cleanRubric(body.rubric);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return { fields };
+}
@@ -0,0 +1,22 @@
+import dotenv from 'dotenv';
+import { createTransport } from './transports.js';
+import { renderTemplate } from './templates.js';
+
+dotenv.config();
+
+const transportName = process.env.MAIL_TRANSPORT || (process.env.EMAIL_USER || process.env.SMTP_HOST ? 'smtp' : 'console');
+const transport = createTransport(transportName);
+
+// Renders the named template and delivers it through the transport selected
+// by MAIL_TRANSPORT (smtp, json or console).
+export async function sendTemplatedEmail(to, templateName, data) {
+  const { subject, html, text } = renderTemplate(templateName, data);
+
+  return transport.sendMail({
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER,
+    to,
+    subject,
+    html,
+    text
+  });
+}
@@ -0,0 +1,93 @@
+const appName = () => process.env.APP_NAME || 'AI Interviewer';
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Every email is described as a heading, paragraphs, an optional call to
+// action and optional footnotes, then rendered through the same layout so
+// the HTML and plain-text versions always carry the same content.
+function renderLayout({ heading, paragraphs = [], action = null, footnotes = [] }) {
+  const htmlParagraphs = paragraphs
+    .map(text => `<p style="margin:0 0 16px;font-size:15px;line-height:1.5;color:#333;">${escapeHtml(text)}</p>`)
+    .join('\n');
+
+  const htmlAction = action
+    ? `<p style="margin:24px 0;">
+        <a href="${escapeHtml(action.url)}" style="display:inline-block;padding:12px 24px;background:#2563eb;color:#fff;text-decoration:none;border-radius:6px;font-weight:600;">${escapeHtml(action.label)}</a>
+      </p>
+      <p style="margin:0 0 16px;font-size:13px;color:#666;">If the button does not work, copy this link into your browser:<br>${escapeHtml(action.url)}</p>`
+    : '';
+
+  const htmlFootnotes = footnotes
+    .map(text => `<p style="margin:0 0 8px;font-size:12px;color:#888;">${escapeHtml(text)}</p>`)
+    .join('\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;">
+    <div style="max-width:560px;margin:0 auto;padding:32px 24px;background:#fff;">
+      <h1 style="margin:0 0 24px;font-size:22px;color:#111;">${escapeHtml(heading)}</h1>
+      ${htmlParagraphs}
+      ${htmlAction}
+      <hr style="border:none;border-top:1px solid #eee;margin:24px 0;">
+      ${htmlFootnotes}
+      <p style="margin:0;font-size:12px;color:#888;">${escapeHtml(appName())}</p>
+    </div>
+  </body>
+</html>`;
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs.flatMap(paragraph => [paragraph, '']),
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    ...footnotes,
+    footnotes.length ? '' : null,
+    `-- ${appName()}`
+  ].filter(line => line !== null).join('\n');
+
+  return { html, text };
+}
+
+const templates = {
+  verification: ({ verificationUrl, expiresInHours }) => ({
+    subject: 'Verify Your Email',
+    heading: 'Email Verification',
+    paragraphs: [
+      `Thanks for signing up for ${appName()}. Please confirm your email address to activate your account.`
+    ],
+    action: { label: 'Verify Email', url: verificationUrl },
+    footnotes: [
+      `This link expires in ${expiresInHours} hours.`,
+      'If you did not create an account, you can ignore this email.'
+    ]
+  }),
+
+  passwordReset: ({ resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset Your Password',
+    heading: 'Password Reset',
+    paragraphs: [
+      'We received a request to reset your password. Click the button below to choose a new one.'
+    ],
+    action: { label: 'Reset Password', url: resetUrl },
+    footnotes: [
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.'
+    ]
+  })
+};
+
+export function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const { subject, ...content } = template(data);
+  return { subject, ...renderLayout(content) };
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+function createSmtpTransport() {
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: {
+        user: process.env.SMTP_USER || process.env.EMAIL_USER,
+        pass: process.env.SMTP_PASS || process.env.EMAIL_PASS
+      }
+    });
+  }
+
+  // Keeps the original Gmail setup working for existing deployments.
+  return nodemailer.createTransport({
+    service: process.env.SMTP_SERVICE || 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+}
+
+// Writes each message as a JSON file, for local development and tests that
+// need to read the link out of a sent email.
+function createJsonTransport() {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || '.mail';
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(mailOptions) {
+      const info = await transport.sendMail(mailOptions);
+      fs.mkdirSync(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.json`;
+      fs.writeFileSync(path.join(outputDir, fileName), info.message);
+      return info;
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async sendMail(mailOptions) {
+      console.log(`📧 Email to ${mailOptions.to}: ${mailOptions.subject}\n${mailOptions.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+const factories = {
+  smtp: createSmtpTransport,
+  json: createJsonTransport,
+  console: createConsoleTransport
+};
+
+export function createTransport(name) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory();
+}
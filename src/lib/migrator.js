@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import db from './dbConnect.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+// Each file in src/migrations is named NNNN_description.js and exports `up`
+// and `down` arrays of SQL statements, run in order. MySQL commits DDL
+// implicitly, so a failed migration can leave earlier statements applied;
+// keep each migration small and check the database before re-running.
+export async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+    if (!Array.isArray(module.up) || !Array.isArray(module.down)) {
+      throw new Error(`Migration ${file} must export "up" and "down" arrays`);
+    }
+    migrations.push({ version, name, up: module.up, down: module.down });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable() {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(16) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+async function getAppliedVersions() {
+  await ensureMigrationsTable();
+  const [rows] = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedVersions();
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: migrations.filter(m => applied.includes(m.version)),
+    pending: migrations.filter(m => !applied.includes(m.version)),
+    // Versions recorded in the database that this checkout has no file for,
+    // i.e. the database is ahead of the code.
+    unknown: applied.filter(version => !known.has(version))
+  };
+}
+
+export async function migrateUp() {
+  const { pending } = await getMigrationStatus();
+
+  for (const migration of pending) {
+    console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+    for (const statement of migration.up) {
+      await db.query(statement);
+    }
+    await db.query(
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+  }
+
+  return pending;
+}
+
+export async function migrateDown(steps = 1) {
+  const { applied } = await getMigrationStatus();
+  const toRollBack = applied.slice(-steps).reverse();
+
+  for (const migration of toRollBack) {
+    console.log(`⬇️  Rolling back ${migration.version}_${migration.name}`);
+    for (const statement of migration.down) {
+      await db.query(statement);
+    }
+    await db.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  }
+
+  return toRollBack;
+}
+
+// Called before the server starts listening; throws if the database schema
+// does not match the migrations shipped with this code.
+export async function assertSchemaUpToDate() {
+  const { pending, unknown } = await getMigrationStatus();
+
+  if (pending.length > 0) {
+    const names = pending.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Database schema is behind: ${pending.length} pending migration(s) (${names}). Run "npm run migrate".`);
+  }
+
+  if (unknown.length > 0) {
+    throw new Error(`Database has migrations this build does not know about: ${unknown.join(', ')}`);
+  }
+}
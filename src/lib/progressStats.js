@@ -0,0 +1,192 @@
+import { QUESTION_TYPES, DIFFICULTY_LEVELS } from './questionGeneration.js';
+import { getUserSessionsPerWeek, getUserSessionTotals } from '../repositories/sessionRepository.js';
+import { getUserQuestionTotals } from '../repositories/questionRepository.js';
+import {
+  getUserAnswerTotals,
+  getUserLatestScoresByCategory,
+  getUserWeeklyScoresByType,
+  getUserRetryGain
+} from '../repositories/answerRepository.js';
+import { listCvAnalysesForUser } from '../repositories/cvAnalysisRepository.js';
+
+const DEFAULT_STATS_WEEKS = 12;
+const MAX_STATS_WEEKS = 52;
+
+// Average score change (0-100 scale) between the earlier and the recent half
+// of the period below which a trend counts as steady.
+const TREND_THRESHOLD = 3;
+
+export const parseStatsWeeks = (value) =>
+  Math.min(Math.max(parseInt(value, 10) || DEFAULT_STATS_WEEKS, 1), MAX_STATS_WEEKS);
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(Number(value)));
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Monday 00:00 of the week containing date, local time, matching the
+// WEEKDAY()-based week_start the repositories group by.
+export function startOfWeek(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+// The Mondays of the last `weeks` weeks, oldest first, ending with this week.
+export function weekStarts(weeks, now = new Date()) {
+  const current = startOfWeek(now);
+  return Array.from({ length: weeks }, (_, index) => {
+    const start = new Date(current);
+    start.setDate(start.getDate() - (weeks - 1 - index) * 7);
+    return start;
+  });
+}
+
+// Compares the graded-attempt average of the recent half of the weeks with
+// the earlier half. weekly entries are { graded, scoreSum }.
+export function scoreTrend(weekly) {
+  const half = Math.floor(weekly.length / 2);
+  const averageOf = (entries) => {
+    const graded = entries.reduce((sum, entry) => sum + entry.graded, 0);
+    return graded ? entries.reduce((sum, entry) => sum + entry.scoreSum, 0) / graded : null;
+  };
+
+  const earlierAverage = averageOf(weekly.slice(0, half));
+  const recentAverage = averageOf(weekly.slice(half));
+
+  if (earlierAverage === null || recentAverage === null) {
+    return { earlierAverage: round(earlierAverage), recentAverage: round(recentAverage), change: null, direction: null };
+  }
+
+  const change = recentAverage - earlierAverage;
+  let direction = 'steady';
+  if (change >= TREND_THRESHOLD) direction = 'improving';
+  else if (change <= -TREND_THRESHOLD) direction = 'declining';
+
+  return {
+    earlierAverage: round(earlierAverage),
+    recentAverage: round(recentAverage),
+    change: round(change),
+    direction
+  };
+}
+
+function averageScores(categoryRows, key, keys) {
+  const groups = Object.fromEntries(keys.map(value => [value, { questions: 0, scoreSum: 0 }]));
+  for (const row of categoryRows) {
+    const group = groups[row[key]] || (groups[row[key]] = { questions: 0, scoreSum: 0 });
+    group.questions += Number(row.questions);
+    group.scoreSum += Number(row.average_score) * Number(row.questions);
+  }
+
+  return Object.fromEntries(Object.entries(groups).map(([value, { questions, scoreSum }]) => [
+    value,
+    { gradedQuestions: questions, averageScore: questions ? Math.round(scoreSum / questions) : null }
+  ]));
+}
+
+// Turns the raw per-user rows into the progress report: weekly activity and
+// scores with empty weeks filled in, current averages per question type and
+// difficulty, score trends, and CV analysis scores over time. `now` fixes the
+// week boundaries.
+export function buildProgressStats(rows, { weeks = DEFAULT_STATS_WEEKS, now = new Date() } = {}) {
+  const starts = weekStarts(weeks, now).map(toDateKey);
+  const sessionsByWeek = new Map(rows.sessionsPerWeek.map(row => [row.week_start, Number(row.sessions)]));
+
+  const emptyWeek = () => ({ attempts: 0, graded: 0, scoreSum: 0 });
+  const answersByWeek = new Map(starts.map(week => [week, emptyWeek()]));
+  const answersByWeekAndType = new Map(QUESTION_TYPES.map(type => [type, new Map(starts.map(week => [week, emptyWeek()]))]));
+
+  for (const row of rows.weeklyScores) {
+    const entries = [answersByWeek.get(row.week_start), answersByWeekAndType.get(row.question_type)?.get(row.week_start)];
+    for (const entry of entries.filter(Boolean)) {
+      entry.attempts += Number(row.attempts);
+      entry.graded += Number(row.graded);
+      entry.scoreSum += Number(row.score_sum);
+    }
+  }
+
+  const weekly = starts.map(week => {
+    const answers = answersByWeek.get(week);
+    return {
+      weekStart: week,
+      sessions: sessionsByWeek.get(week) || 0,
+      answers: answers.attempts,
+      gradedAnswers: answers.graded,
+      averageScore: answers.graded ? Math.round(answers.scoreSum / answers.graded) : null
+    };
+  });
+
+  const sessionsByMode = Object.fromEntries(rows.sessionTotals.map(row => [row.mode, Number(row.sessions)]));
+
+  // Oldest first, for charting.
+  const cvAnalyses = [...rows.cvAnalyses]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map(row => ({ id: row.id, score: row.score, overallGrade: row.overall_grade, createdAt: row.created_at }));
+  const scoredAnalyses = cvAnalyses.filter(analysis => analysis.score !== null);
+
+  return {
+    periodWeeks: weeks,
+    totals: {
+      sessions: Object.values(sessionsByMode).reduce((sum, count) => sum + count, 0),
+      sessionsByMode,
+      questions: Number(rows.questionTotals.total),
+      questionsAnswered: Number(rows.questionTotals.answered),
+      answers: Number(rows.answerTotals.attempts),
+      gradedAnswers: Number(rows.answerTotals.graded),
+      averageScore: round(rows.answerTotals.average_score)
+    },
+    weekly,
+    averages: {
+      byType: averageScores(rows.latestScores, 'question_type', QUESTION_TYPES),
+      byDifficulty: averageScores(rows.latestScores, 'difficulty_level', DIFFICULTY_LEVELS)
+    },
+    trends: {
+      overall: scoreTrend(starts.map(week => answersByWeek.get(week))),
+      byType: Object.fromEntries(QUESTION_TYPES.map(type => [
+        type,
+        scoreTrend(starts.map(week => answersByWeekAndType.get(type).get(week)))
+      ])),
+      retries: {
+        questions: Number(rows.retryGain.questions),
+        averageGain: round(rows.retryGain.average_gain)
+      }
+    },
+    cvAnalyses: {
+      count: cvAnalyses.length,
+      latestScore: scoredAnalyses.length ? scoredAnalyses[scoredAnalyses.length - 1].score : null,
+      change: scoredAnalyses.length > 1
+        ? scoredAnalyses[scoredAnalyses.length - 1].score - scoredAnalyses[0].score
+        : null,
+      history: cvAnalyses
+    }
+  };
+}
+
+export async function loadProgressStats(userId, weeks = DEFAULT_STATS_WEEKS, now = new Date()) {
+  const since = weekStarts(weeks, now)[0];
+
+  const [sessionsPerWeek, sessionTotals, questionTotals, answerTotals, latestScores, weeklyScores, retryGain, cvAnalyses] =
+    await Promise.all([
+      getUserSessionsPerWeek(userId, since),
+      getUserSessionTotals(userId),
+      getUserQuestionTotals(userId),
+      getUserAnswerTotals(userId),
+      getUserLatestScoresByCategory(userId),
+      getUserWeeklyScoresByType(userId, since),
+      getUserRetryGain(userId),
+      listCvAnalysesForUser(userId)
+    ]);
+
+  return buildProgressStats({
+    sessionsPerWeek,
+    sessionTotals,
+    questionTotals,
+    answerTotals,
+    latestScores,
+    weeklyScores,
+    retryGain,
+    cvAnalyses
+  }, { weeks, now });
+}
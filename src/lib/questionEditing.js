@@ -0,0 +1,95 @@
+import { generateJson } from './ai.js';
+import { QUESTION_TYPES, DIFFICULTY_LEVELS, TYPE_DESCRIPTIONS } from './questionGeneration.js';
+import { MAX_ANSWER_LENGTH } from './answers.js';
+
+// Request fields a user may set on a question, and the columns they map to.
+const QUESTION_FIELDS = {
+  question: { column: 'question_text', maxLength: 2000 },
+  answer: { column: 'suggested_answer', maxLength: MAX_ANSWER_LENGTH, nullable: true },
+  type: { column: 'question_type', values: QUESTION_TYPES },
+  difficulty: { column: 'difficulty_level', values: DIFFICULTY_LEVELS }
+};
+
+// Validates a question body for adding (`requireQuestion`) or editing. Returns
+// { fields } keyed by column, or { errors } listing every problem.
+export function parseQuestionFields(body = {}, { requireQuestion = false } = {}) {
+  const fields = {};
+  const errors = [];
+
+  for (const [field, { column, maxLength, values, nullable }] of Object.entries(QUESTION_FIELDS)) {
+    if (!(field in body)) continue;
+    const value = body[field];
+
+    if (values) {
+      if (!values.includes(value)) {
+        errors.push(`${field} must be one of: ${values.join(', ')}`);
+      } else {
+        fields[column] = value;
+      }
+      continue;
+    }
+
+    if (value === null && nullable) {
+      fields[column] = null;
+    } else if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} must be a non-empty string${nullable ? ' or null' : ''}`);
+    } else if (value.trim().length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    } else {
+      fields[column] = value.trim();
+    }
+  }
+
+  if (requireQuestion && !('question' in body)) {
+    errors.push('question is a required field');
+  }
+
+  if (errors.length === 0 && Object.keys(fields).length === 0) {
+    errors.push(`Provide at least one of: ${Object.keys(QUESTION_FIELDS).join(', ')}`);
+  }
+
+  return errors.length > 0 ? { errors } : { fields };
+}
+
+function createReplacementPrompt(session, question, siblings, options) {
+  const language = options?.language || 'English';
+  const template = options?.template;
+
+  return `${template?.persona || 'You are an expert HR interviewer.'} A candidate rejected one question from their mock interview and wants a better one in its place.
+
+CV:
+${session.cv_text}
+
+${session.job_description ? `Job Description:\n${session.job_description}\n` : ''}${options?.seniority ? `Seniority: the candidate is interviewing at ${options.seniority} level.\n` : ''}${template?.instructions ? `Interview format (${template.name}): ${template.instructions}\n` : ''}
+Question being replaced (${question.question_type}, ${question.difficulty_level}):
+${question.question_text}
+
+Other questions already in the interview (do not repeat or overlap with these):
+${siblings.map(q => `- ${q.question_text}`).join('\n') || '- none'}
+
+Write ONE new question of the same type and difficulty: ${TYPE_DESCRIPTIONS[question.question_type] || question.question_type}, ${question.difficulty_level} difficulty. It must be clearly different from the question being replaced, grounded in the CV${session.job_description ? ' and job description' : ''}, and come with a direct, specific suggested answer written in the first person as this candidate would give it.
+
+Write the question and answer in ${language}.
+
+CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown, no extra text.
+
+Format:
+{
+  "question": "Question text here",
+  "answer": "Suggested answer"
+}`;
+}
+
+// Generates a replacement for one question, keeping its type and difficulty.
+export async function generateReplacementQuestion(session, question, siblings, options) {
+  const result = await generateJson(createReplacementPrompt(session, question, siblings, options));
+
+  if (typeof result.question !== 'string' || !result.question.trim()) {
+    throw new Error('AI response did not contain a question');
+  }
+
+  return {
+    question_text: result.question.trim(),
+    suggested_answer: typeof result.answer === 'string' && result.answer.trim() ? result.answer.trim() : 'Answer not provided'
+  };
+}
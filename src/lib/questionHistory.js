@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { ai, DEFAULT_MODEL } from './ai.js';
+import { createInterviewPrompt, parseQuestionsFromAI } from './questionGeneration.js';
+import { recordQuestionHistory, listQuestionHistory } from '../repositories/questionHistoryRepository.js';
+
+dotenv.config();
+
+// Token-set Jaccard similarity at or above which two questions count as the
+// same question asked twice.
+const SIMILARITY_THRESHOLD = parseFloat(process.env.QUESTION_SIMILARITY_THRESHOLD) || 0.6;
+
+// How much history new questions are compared against, and how much of it is
+// quoted to the model as questions to avoid.
+const HISTORY_LIMIT = 500;
+export const PROMPT_AVOID_LIMIT = 40;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'describe', 'did', 'do', 'does',
+  'explain', 'for', 'from', 'give', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my',
+  'of', 'on', 'or', 'our', 'please', 'tell', 'that', 'the', 'their', 'this', 'to', 'us', 'was',
+  'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'would', 'you', 'your'
+]);
+
+// Crude suffix stripping so "designing", "designed" and "designs" match.
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word);
+
+// Lowercased, accent-free content words of a question.
+export function questionTokens(text) {
+  return new Set(
+    text
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(stem)
+  );
+}
+
+export function questionSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Matches the SQL used to backfill question_history.text_hash: runs of
+// Unicode whitespace ([[:space:]] in MySQL's ICU regexps) collapse to one
+// space first, then only spaces are trimmed, as MySQL's TRIM() does.
+export const hashQuestionText = (text) =>
+  crypto.createHash('sha256')
+    .update(text.replace(/\p{White_Space}+/gu, ' ').replace(/^ | $/g, '').toLowerCase())
+    .digest('hex');
+
+// Loads the user's recent questions, ready for findRepeats.
+export async function loadQuestionHistory(userId) {
+  const rows = await listQuestionHistory(userId, HISTORY_LIMIT);
+  return rows.map(row => ({ text: row.question_text, tokens: questionTokens(row.question_text) }));
+}
+
+// Splits question rows into those that are new and those too similar to
+// something in history or earlier in the same batch. Fresh questions are
+// added to history as they are accepted, so calling this again with more
+// questions also avoids the ones just kept.
+export function findRepeats(questions, history) {
+  const fresh = [];
+  const repeats = [];
+
+  for (const question of questions) {
+    const tokens = questionTokens(question.question_text);
+    const isRepeat = history.some(entry => questionSimilarity(tokens, entry.tokens) >= SIMILARITY_THRESHOLD);
+
+    if (isRepeat) {
+      repeats.push(question);
+    } else {
+      fresh.push(question);
+      history.push({ text: question.question_text, tokens });
+    }
+  }
+
+  return { fresh, repeats };
+}
+
+// Generation options asking for exactly the types and difficulties of the
+// questions that were dropped, for a replacement request.
+function replacementOptions(options, repeats) {
+  const typeCounts = {};
+  const difficultyCounts = {};
+  for (const question of repeats) {
+    typeCounts[question.question_type] = (typeCounts[question.question_type] || 0) + 1;
+    difficultyCounts[question.difficulty_level] = (difficultyCounts[question.difficulty_level] || 0) + 1;
+  }
+
+  return { ...options, totalQuestions: repeats.length, typeCounts, difficultyCounts };
+}
+
+export async function rememberQuestions(userId, questions, conn) {
+  await recordQuestionHistory(userId, questions.map(q => ({
+    textHash: hashQuestionText(q.question_text),
+    questionText: q.question_text,
+    questionType: q.question_type
+  })), conn);
+}
+
+// Asks the model once for stand-ins for the repeats, with the same types and
+// difficulties. Stand-ins that are themselves repeats are dropped, so fewer
+// than repeats.length questions may come back.
+export async function replaceRepeats(cv, jobDescription, options, repeats, history, avoidQuestions) {
+  if (repeats.length === 0) return [];
+
+  try {
+    const prompt = createInterviewPrompt(cv, jobDescription, replacementOptions(options, repeats), { avoidQuestions });
+    const response = await ai.models.generateContent({ model: DEFAULT_MODEL, contents: prompt });
+    return findRepeats(parseQuestionsFromAI(response.text, repeats.length), history).fresh;
+  } catch (error) {
+    console.error('Error replacing repeated questions:', error);
+    return [];
+  }
+}
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { withTransaction } from './dbConnect.js';
+import { generateRandomToken, hashToken } from './tokens.js';
+import {
+  insertRefreshToken,
+  findRefreshToken,
+  claimRefreshToken,
+  setReplacedBy,
+  revokeRefreshTokenFamily,
+  revokeRefreshTokensForUser
+} from '../repositories/refreshTokenRepository.js';
+
+dotenv.config();
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// Every login starts a new token family; each refresh replaces the presented
+// token with a new one in the same family. Presenting a token that has
+// already been replaced means it was copied, so the whole family is revoked.
+export async function issueRefreshToken(userId, familyId = crypto.randomUUID(), conn) {
+  const token = generateRandomToken(48);
+  const id = await insertRefreshToken(
+    { userId, familyId, tokenHash: hashToken(token), expireDays: REFRESH_TOKEN_EXPIRE_DAYS },
+    conn
+  );
+  return { token, id, familyId };
+}
+
+export async function rotateRefreshToken(token) {
+  const current = await findRefreshToken(hashToken(token));
+
+  if (!current) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (current.revoked_at) {
+    await revokeRefreshTokenFamily(current.family_id);
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  if (current.is_expired) {
+    return { error: 'REFRESH_TOKEN_EXPIRED' };
+  }
+
+  const next = await withTransaction(async (conn) => {
+    // Claim the row before issuing its successor; a concurrent refresh with
+    // the same token loses this race and is treated as reuse.
+    const claimed = await claimRefreshToken(current.id, conn);
+    if (!claimed) return null;
+
+    const issued = await issueRefreshToken(current.user_id, current.family_id, conn);
+    await setReplacedBy(current.id, issued.id, conn);
+    return issued;
+  });
+
+  if (!next) {
+    await revokeRefreshTokenFamily(current.family_id);
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  return { userId: current.user_id, token: next.token };
+}
+
+export async function revokeRefreshToken(token) {
+  const current = await findRefreshToken(hashToken(token));
+  if (!current) return false;
+  await revokeRefreshTokenFamily(current.family_id);
+  return true;
+}
+
+export async function revokeAllRefreshTokens(userId, conn) {
+  await revokeRefreshTokensForUser(userId, conn);
+}
@@ -0,0 +1,100 @@
+import { withTransaction } from './dbConnect.js';
+import { gradeAnswer } from './grading.js';
+import { findSessionTemplateRubric } from './interviewTemplates.js';
+import { scheduleReview, qualityFromScore } from './srs.js';
+import {
+  ensureReviewItem,
+  updateReviewSchedule,
+  insertReviewLog
+} from '../repositories/reviewRepository.js';
+
+// "Due today" runs to the end of the server's current day, so items that come
+// due this evening are offered in the morning.
+export function endOfToday(now = new Date()) {
+  const end = new Date(now);
+  end.setHours(24, 0, 0, 0);
+  return end;
+}
+
+export function formatReviewItem(item, showAnswers = false) {
+  return {
+    id: item.id,
+    questionId: item.question_id,
+    question: item.question_text,
+    type: item.question_type,
+    difficulty: item.difficulty_level,
+    sessionId: item.session_id,
+    sessionTitle: item.session_title,
+    dueAt: item.due_at,
+    intervalDays: item.interval_days,
+    repetitions: item.repetitions,
+    easiness: Number(item.easiness),
+    lapses: item.lapses,
+    reviewCount: item.review_count,
+    lastReviewedAt: item.last_reviewed_at,
+    ...(showAnswers && { answer: item.suggested_answer })
+  };
+}
+
+// Puts a question in the user's queue, due now. No-op if it is already there.
+export async function enrollQuestion(userId, questionId, conn) {
+  await ensureReviewItem(userId, questionId, new Date(), conn);
+}
+
+// Records one review of a question and reschedules it, adding it to the queue
+// first if needed. source is 'self' for a self-rating or 'ai' for a graded
+// answer (score is then the 0-100 grade; answerText and feedback are kept for
+// answers given in the review queue). Must run inside a transaction.
+export async function recordReview({ userId, questionId, quality, source, score = null, answerText = null, feedback = null }, conn) {
+  const now = new Date();
+  const item = await ensureReviewItem(userId, questionId, now, conn);
+
+  const next = scheduleReview({
+    easiness: Number(item.easiness),
+    intervalDays: item.interval_days,
+    repetitions: item.repetitions,
+    lapses: item.lapses
+  }, quality, now);
+
+  await updateReviewSchedule(item.id, next, now, conn);
+  await insertReviewLog({
+    itemId: item.id,
+    userId,
+    quality,
+    source,
+    score,
+    answerText,
+    feedback,
+    intervalDays: next.intervalDays,
+    easiness: next.easiness,
+    reviewedAt: now
+  }, conn);
+
+  return { itemId: item.id, quality, ...next };
+}
+
+// Grades an answer given from the review queue and reschedules the item by
+// the grade. The answer is kept in the review log, not added as an attempt to
+// the question's session. Resolves with null if grading failed, leaving the
+// schedule unchanged.
+export async function answerReview({ userId, question, answerText }) {
+  let grading;
+  try {
+    grading = await gradeAnswer(question, answerText, await findSessionTemplateRubric(question, userId));
+  } catch (error) {
+    console.error('Error grading review answer:', error);
+    return null;
+  }
+
+  await withTransaction(conn => recordReview({
+    userId,
+    questionId: question.id,
+    quality: qualityFromScore(grading.score),
+    source: 'ai',
+    score: grading.score,
+    answerText,
+    feedback: { rubric: grading.rubric, summary: grading.summary, tips: grading.tips }
+  }, conn));
+
+  return grading;
+}
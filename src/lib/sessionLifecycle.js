@@ -0,0 +1,311 @@
+import { withTransaction } from './dbConnect.js';
+import { findSessionForUpdate, updateSessionFields } from '../repositories/sessionRepository.js';
+import {
+  listQuestionsForSession,
+  findQuestionForUser,
+  addQuestionTime
+} from '../repositories/questionRepository.js';
+
+export const SESSION_STATUSES = ['draft', 'in_progress', 'paused', 'completed'];
+
+export const SESSION_ACTIONS = {
+  start: { from: ['draft'], to: 'in_progress' },
+  pause: { from: ['in_progress'], to: 'paused' },
+  resume: { from: ['paused'], to: 'in_progress' },
+  finish: { from: ['in_progress', 'paused'], to: 'completed' }
+};
+
+const MAX_TIME_LIMIT_MINUTES = 480;
+const MIN_QUESTION_TIME_LIMIT_SECONDS = 10;
+const MAX_QUESTION_TIME_LIMIT_SECONDS = 3600;
+
+// Allowance for the time an answer spends in transit, so one submitted as
+// the timer runs out is not rejected.
+const ANSWER_GRACE_SECONDS = 5;
+
+export const TIMING_ERRORS = {
+  SESSION_NOT_FOUND: { status: 404, error: 'Session not found or you do not have permission to view it.' },
+  QUESTION_NOT_FOUND: { status: 404, error: 'Question not found or you do not have permission to view it.' },
+  INVALID_SESSION_TRANSITION: { status: 409, error: 'That action is not possible in the session\'s current state.' },
+  SESSION_NOT_IN_PROGRESS: { status: 409, error: 'Start or resume the session first.' },
+  SESSION_PAUSED: { status: 409, error: 'The session is paused. Resume it to continue answering.' },
+  SESSION_COMPLETED: { status: 409, error: 'The session has finished; it no longer accepts answers.' },
+  SESSION_TIME_LIMIT_EXCEEDED: { status: 409, error: 'The session\'s time limit has run out.' },
+  QUESTION_TIME_LIMIT_EXCEEDED: { status: 409, error: 'The time limit for this question has run out.' }
+};
+
+const secondsSince = (from, now) =>
+  (from ? Math.max(0, Math.floor((now - new Date(from)) / 1000)) : 0);
+
+// Active (unpaused) time in the session, including the running segment.
+export function getActiveSeconds(session, now = new Date()) {
+  const running = session.status === 'in_progress' ? secondsSince(session.last_resumed_at, now) : 0;
+  return session.elapsed_seconds + running;
+}
+
+export function getQuestionSeconds(session, question, now = new Date()) {
+  const running = session.status === 'in_progress' && session.current_question_id === question.id
+    ? secondsSince(session.question_started_at, now)
+    : 0;
+  return question.time_spent_seconds + running;
+}
+
+export function describeTiming(session, now = new Date()) {
+  const elapsedSeconds = getActiveSeconds(session, now);
+
+  return {
+    status: session.status,
+    startedAt: session.started_at,
+    pausedAt: session.paused_at,
+    completedAt: session.completed_at,
+    completionReason: session.completion_reason,
+    elapsedSeconds,
+    timeLimitSeconds: session.time_limit_seconds,
+    remainingSeconds: session.time_limit_seconds === null
+      ? null
+      : Math.max(0, session.time_limit_seconds - elapsedSeconds),
+    questionTimeLimitSeconds: session.question_time_limit_seconds,
+    currentQuestionId: session.current_question_id
+  };
+}
+
+// Validates the optional limits accepted when a session is started.
+export function parseTimeLimits({ timeLimitMinutes, questionTimeLimitSeconds } = {}) {
+  const errors = [];
+
+  if (timeLimitMinutes !== undefined && timeLimitMinutes !== null
+    && (!Number.isInteger(timeLimitMinutes) || timeLimitMinutes < 1 || timeLimitMinutes > MAX_TIME_LIMIT_MINUTES)) {
+    errors.push(`timeLimitMinutes must be an integer between 1 and ${MAX_TIME_LIMIT_MINUTES}`);
+  }
+
+  if (questionTimeLimitSeconds !== undefined && questionTimeLimitSeconds !== null
+    && (!Number.isInteger(questionTimeLimitSeconds)
+      || questionTimeLimitSeconds < MIN_QUESTION_TIME_LIMIT_SECONDS
+      || questionTimeLimitSeconds > MAX_QUESTION_TIME_LIMIT_SECONDS)) {
+    errors.push(`questionTimeLimitSeconds must be an integer between ${MIN_QUESTION_TIME_LIMIT_SECONDS} and ${MAX_QUESTION_TIME_LIMIT_SECONDS}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    limits: {
+      timeLimitSeconds: timeLimitMinutes ? timeLimitMinutes * 60 : null,
+      questionTimeLimitSeconds: questionTimeLimitSeconds || null
+    }
+  };
+}
+
+// Banks the running segments of a session that is in progress: active time
+// into elapsed_seconds and question time into the current question. Returns
+// the session columns to write.
+async function stopClock(session, now, conn) {
+  if (session.status !== 'in_progress') return {};
+
+  if (session.current_question_id && session.question_started_at) {
+    await addQuestionTime(session.current_question_id, secondsSince(session.question_started_at, now), conn);
+  }
+
+  return {
+    elapsed_seconds: getActiveSeconds(session, now),
+    last_resumed_at: null,
+    question_started_at: null
+  };
+}
+
+async function completeSession(session, reason, now, conn) {
+  const fields = await stopClock(session, now, conn);
+  if (reason === 'time_limit') {
+    fields.elapsed_seconds = session.time_limit_seconds;
+  }
+
+  await updateSessionFields(session.id, {
+    ...fields,
+    status: 'completed',
+    paused_at: null,
+    completed_at: now,
+    completion_reason: reason
+  }, conn);
+}
+
+// Time limits are enforced lazily: the first request after the limit has
+// passed completes the session. Returns true if it did.
+async function enforceTimeLimit(session, now, conn) {
+  if (session.status !== 'in_progress' || session.time_limit_seconds === null) return false;
+  if (getActiveSeconds(session, now) < session.time_limit_seconds) return false;
+
+  await completeSession(session, 'time_limit', now, conn);
+  return true;
+}
+
+// Moves the question clock to questionId. Only meaningful while in progress.
+async function switchQuestion(session, questionId, now, conn) {
+  if (session.current_question_id === questionId) return;
+
+  if (session.current_question_id && session.question_started_at) {
+    await addQuestionTime(session.current_question_id, secondsSince(session.question_started_at, now), conn);
+  }
+
+  await updateSessionFields(session.id, { current_question_id: questionId, question_started_at: now }, conn);
+  session.current_question_id = questionId;
+  session.question_started_at = now;
+}
+
+// Applies one lifecycle action (start, pause, resume, finish). Resolves with
+// { session } on success or { error, session } using a TIMING_ERRORS code.
+export function changeSessionStatus(sessionId, userId, action, limits = {}) {
+  return withTransaction(async (conn) => {
+    const session = await findSessionForUpdate(sessionId, userId, conn);
+    if (!session) return { error: 'SESSION_NOT_FOUND' };
+
+    const now = new Date();
+    const reload = () => findSessionForUpdate(session.id, userId, conn);
+
+    if (await enforceTimeLimit(session, now, conn)) {
+      // Finishing a session that has just timed out is not an error.
+      return action === 'finish'
+        ? { session: await reload() }
+        : { error: 'SESSION_TIME_LIMIT_EXCEEDED', session: await reload() };
+    }
+
+    if (!SESSION_ACTIONS[action].from.includes(session.status)) {
+      return { error: 'INVALID_SESSION_TRANSITION', session };
+    }
+
+    if (action === 'start') {
+      const questions = await listQuestionsForSession(session.id, conn);
+      const first = questions.find(q => !q.is_answered) || questions[0];
+      await updateSessionFields(session.id, {
+        status: 'in_progress',
+        started_at: now,
+        last_resumed_at: now,
+        time_limit_seconds: limits.timeLimitSeconds || null,
+        question_time_limit_seconds: limits.questionTimeLimitSeconds || null,
+        current_question_id: first ? first.id : null,
+        question_started_at: first ? now : null
+      }, conn);
+    } else if (action === 'pause') {
+      await updateSessionFields(session.id, {
+        ...await stopClock(session, now, conn),
+        status: 'paused',
+        paused_at: now
+      }, conn);
+    } else if (action === 'resume') {
+      await updateSessionFields(session.id, {
+        status: 'in_progress',
+        paused_at: null,
+        last_resumed_at: now,
+        question_started_at: session.current_question_id ? now : null
+      }, conn);
+    } else {
+      await completeSession(session, 'finished', now, conn);
+    }
+
+    return { session: await reload() };
+  });
+}
+
+// Records that the user is now looking at questionId, so time is counted
+// against it. Resolves like changeSessionStatus.
+export function focusQuestion(sessionId, userId, questionId) {
+  return withTransaction(async (conn) => {
+    const session = await findSessionForUpdate(sessionId, userId, conn);
+    if (!session) return { error: 'SESSION_NOT_FOUND' };
+
+    const now = new Date();
+    if (await enforceTimeLimit(session, now, conn)) {
+      return { error: 'SESSION_TIME_LIMIT_EXCEEDED', session: await findSessionForUpdate(session.id, userId, conn) };
+    }
+
+    if (session.status !== 'in_progress') {
+      return { error: 'SESSION_NOT_IN_PROGRESS', session };
+    }
+
+    const question = await findQuestionForUser(questionId, userId, conn);
+    if (!question || question.session_id !== session.id) {
+      return { error: 'QUESTION_NOT_FOUND', session };
+    }
+
+    await switchQuestion(session, question.id, now, conn);
+    return { session: await findSessionForUpdate(session.id, userId, conn) };
+  });
+}
+
+// Decides whether an answer to question may be accepted under the session's
+// lifecycle and time limits, moving the question clock to it if needed.
+// Resolves with null when it may, or a TIMING_ERRORS code. Sessions that were
+// never started are untimed practice and accept answers as before.
+export function checkAnswerTiming(question, userId) {
+  return withTransaction(async (conn) => {
+    const session = await findSessionForUpdate(question.session_id, userId, conn);
+    if (!session) return 'SESSION_NOT_FOUND';
+    if (session.status === 'draft') return null;
+
+    const now = new Date();
+    if (await enforceTimeLimit(session, now, conn)) return 'SESSION_TIME_LIMIT_EXCEEDED';
+    if (session.status === 'paused') return 'SESSION_PAUSED';
+    if (session.status === 'completed') return 'SESSION_COMPLETED';
+
+    await switchQuestion(session, question.id, now, conn);
+
+    // Re-read for the time banked on it so far.
+    const current = await findQuestionForUser(question.id, userId, conn);
+    const limit = session.question_time_limit_seconds;
+    if (limit !== null && getQuestionSeconds(session, current, now) > limit + ANSWER_GRACE_SECONDS) {
+      return 'QUESTION_TIME_LIMIT_EXCEEDED';
+    }
+
+    return null;
+  });
+}
+
+// Like checkAnswerTiming, for input that belongs to the session as a whole
+// rather than one question (a chat message). Completes the session if its
+// time limit has run out. Resolves with null or a TIMING_ERRORS code.
+export function checkSessionTiming(sessionId, userId) {
+  return withTransaction(async (conn) => {
+    const session = await findSessionForUpdate(sessionId, userId, conn);
+    if (!session) return 'SESSION_NOT_FOUND';
+    if (session.status === 'draft') return null;
+
+    if (await enforceTimeLimit(session, new Date(), conn)) return 'SESSION_TIME_LIMIT_EXCEEDED';
+    if (session.status === 'paused') return 'SESSION_PAUSED';
+    if (session.status === 'completed') return 'SESSION_COMPLETED';
+
+    return null;
+  });
+}
+
+// Current timing for a session and each of its questions, completing the
+// session first if its time limit has run out. Resolves with null if the
+// session does not exist.
+export function getSessionTiming(sessionId, userId) {
+  return withTransaction(async (conn) => {
+    let session = await findSessionForUpdate(sessionId, userId, conn);
+    if (!session) return null;
+
+    const now = new Date();
+    if (await enforceTimeLimit(session, now, conn)) {
+      session = await findSessionForUpdate(session.id, userId, conn);
+    }
+
+    const questions = await listQuestionsForSession(session.id, conn);
+    const limit = session.question_time_limit_seconds;
+
+    return {
+      session,
+      timing: describeTiming(session, now),
+      questions: questions.map(question => {
+        const timeSpentSeconds = getQuestionSeconds(session, question, now);
+        return {
+          id: question.id,
+          order: question.order_index,
+          isAnswered: question.is_answered,
+          timeSpentSeconds,
+          timeLimitExceeded: limit !== null && timeSpentSeconds > limit
+        };
+      })
+    };
+  });
+}
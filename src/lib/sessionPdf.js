@@ -0,0 +1,200 @@
+import PDFDocument from 'pdfkit';
+import dotenv from 'dotenv';
+import { QUESTION_TYPES } from './questionGeneration.js';
+import { buildScorecard } from './sessionReport.js';
+
+dotenv.config();
+
+export const PDF_GROUP_BY = ['order', 'type'];
+
+const TYPE_TITLES = {
+  general: 'General',
+  technical: 'Technical',
+  behavioral: 'Behavioral',
+  cv_specific: 'CV Specific',
+  job_specific: 'Job Specific'
+};
+
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  accent: '#2563eb',
+  rule: '#d1d5db',
+  easy: '#059669',
+  medium: '#d97706',
+  hard: '#dc2626'
+};
+
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const titleCase = (value) => TYPE_TITLES[value] || value.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+// The built-in PDF fonts only cover Latin-1; sessions generated in other
+// scripts need PDF_FONT_PATH (and optionally PDF_BOLD_FONT_PATH) pointing at
+// TTF files that cover them.
+function registerFonts(doc) {
+  if (process.env.PDF_FONT_PATH) {
+    doc.registerFont('body', process.env.PDF_FONT_PATH);
+    doc.registerFont('bold', process.env.PDF_BOLD_FONT_PATH || process.env.PDF_FONT_PATH);
+  } else {
+    doc.registerFont('body', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+  }
+}
+
+function writeHeader(doc, session, scorecard, { hideAnswers }) {
+  doc.font('bold').fontSize(20).fillColor(COLORS.text).text(session.title);
+  doc.moveDown(0.3);
+  doc.font('body').fontSize(10).fillColor(COLORS.muted).text([
+    new Date(session.created_at).toLocaleDateString(),
+    session.session_type === 'cv_with_job' ? 'CV and job description' : 'CV only',
+    `${scorecard.totalQuestions} questions`,
+    hideAnswers ? 'Quiz mode: answers hidden' : null
+  ].filter(Boolean).join('  ·  '));
+
+  if (!hideAnswers && scorecard.answeredQuestions > 0) {
+    doc.moveDown(0.3).text(
+      `Answered ${scorecard.answeredQuestions}/${scorecard.totalQuestions}  ·  ` +
+      `Average score ${scorecard.averageScore}/100  ·  Readiness ${scorecard.readinessScore}/100`
+    );
+  }
+
+  doc.moveDown(0.5);
+  rule(doc);
+  doc.moveDown();
+}
+
+function rule(doc) {
+  const y = doc.y;
+  doc.save()
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor(COLORS.rule)
+    .stroke()
+    .restore();
+}
+
+function writeSectionTitle(doc, title) {
+  doc.moveDown(0.5);
+  doc.font('bold').fontSize(14).fillColor(COLORS.accent).text(title);
+  doc.moveDown(0.5);
+}
+
+function writeLabel(doc, label) {
+  doc.moveDown(0.4);
+  doc.font('bold').fontSize(9).fillColor(COLORS.muted).text(label.toUpperCase(), { characterSpacing: 0.5 });
+  doc.moveDown(0.15);
+}
+
+function writeQuestion(doc, question, answer, { hideAnswers }) {
+  // Keep a question's heading with at least a few lines of its body.
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 120) {
+    doc.addPage();
+  }
+
+  doc.font('bold').fontSize(12).fillColor(COLORS.text)
+    .text(`Q${question.order_index}. `, { continued: true })
+    .text(question.question_text);
+
+  doc.moveDown(0.2);
+  doc.font('body').fontSize(9)
+    .fillColor(COLORS.muted).text(`${titleCase(question.question_type)}  ·  `, { continued: true })
+    .fillColor(COLORS[question.difficulty_level] || COLORS.muted).text(titleCase(question.difficulty_level));
+
+  if (hideAnswers) {
+    // Ruled space to write an answer by hand.
+    writeLabel(doc, 'Your answer');
+    for (let i = 0; i < 5; i++) {
+      doc.moveDown(1.2);
+      rule(doc);
+    }
+  } else {
+    writeLabel(doc, 'Suggested answer');
+    doc.font('body').fontSize(10).fillColor(COLORS.text).text(question.suggested_answer || 'No suggested answer.');
+
+    if (answer) {
+      writeLabel(doc, `Your answer (attempt ${answer.attempt_number}) — ${answer.score}/100`);
+      doc.font('body').fontSize(10).fillColor(COLORS.text).text(answer.answer_text);
+
+      const tips = parseJsonColumn(answer.improvement_tips) || [];
+      if (answer.summary || tips.length > 0) {
+        writeLabel(doc, 'Feedback');
+        if (answer.summary) {
+          doc.font('body').fontSize(10).fillColor(COLORS.text).text(answer.summary);
+        }
+        if (tips.length > 0) {
+          doc.moveDown(0.2).list(tips, { bulletRadius: 1.5, textIndent: 10 });
+        }
+      }
+    }
+  }
+
+  doc.moveDown();
+  rule(doc);
+  doc.moveDown();
+}
+
+function writeFooters(doc) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page.
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('body').fontSize(8).fillColor(COLORS.muted).text(
+      `Page ${i + 1} of ${range.count}`,
+      doc.page.margins.left,
+      doc.page.height - bottom / 2,
+      { align: 'center', width: doc.page.width - doc.page.margins.left - doc.page.margins.right }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// Renders a session as a study guide and resolves with the PDF bytes.
+// latestAnswers are the latest graded attempts, shown under each question
+// unless hideAnswers turns the guide into a blank quiz. groupBy 'type' puts
+// the questions into one section per question type.
+export function renderSessionPdf(session, questions, latestAnswers, { hideAnswers = false, groupBy = 'order' } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      bufferPages: true,
+      info: { Title: session.title, Creator: 'Interview Prep' }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      registerFonts(doc);
+
+      const answersByQuestion = new Map(latestAnswers.map(answer => [answer.question_id, answer]));
+      writeHeader(doc, session, buildScorecard(questions, latestAnswers), { hideAnswers });
+
+      if (groupBy === 'type') {
+        const types = [
+          ...QUESTION_TYPES,
+          ...new Set(questions.map(q => q.question_type).filter(type => !QUESTION_TYPES.includes(type)))
+        ];
+        for (const type of types) {
+          const group = questions.filter(q => q.question_type === type);
+          if (group.length === 0) continue;
+          writeSectionTitle(doc, `${titleCase(type)} (${group.length})`);
+          group.forEach(q => writeQuestion(doc, q, answersByQuestion.get(q.id), { hideAnswers }));
+        }
+      } else {
+        questions.forEach(q => writeQuestion(doc, q, answersByQuestion.get(q.id), { hideAnswers }));
+      }
+
+      writeFooters(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
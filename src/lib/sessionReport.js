@@ -0,0 +1,177 @@
+import { generateJson } from './ai.js';
+import { RUBRIC_CRITERIA } from './grading.js';
+
+// Harder questions count for more towards readiness.
+const DIFFICULTY_WEIGHTS = { easy: 1, medium: 1.5, hard: 2 };
+
+const average = (values) =>
+  values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+function groupScores(questions, answersByQuestion, key) {
+  const groups = {};
+
+  for (const question of questions) {
+    const group = question[key] || 'unknown';
+    groups[group] = groups[group] || { total: 0, answered: 0, scores: [] };
+    groups[group].total += 1;
+
+    const answer = answersByQuestion.get(question.id);
+    if (answer) {
+      groups[group].answered += 1;
+      groups[group].scores.push(answer.score);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([group, { total, answered, scores }]) => [
+      group,
+      { totalQuestions: total, answeredQuestions: answered, averageScore: average(scores) }
+    ])
+  );
+}
+
+function rankAreas(byType, byCriterion) {
+  const areas = [
+    ...Object.entries(byType)
+      .filter(([, stats]) => stats.averageScore !== null)
+      .map(([type, stats]) => ({ area: type, kind: 'question_type', averageScore: stats.averageScore })),
+    ...Object.entries(byCriterion)
+      .filter(([, score]) => score !== null)
+      .map(([criterion, score]) => ({ area: criterion, kind: 'rubric', averageScore: score }))
+  ].sort((a, b) => b.averageScore - a.averageScore);
+
+  // Up to two of each, without listing an area as both strongest and weakest
+  // unless it is the only one.
+  const count = Math.max(1, Math.min(2, Math.floor(areas.length / 2)));
+  return {
+    strongest: areas.slice(0, count),
+    weakest: areas.slice(-count).reverse()
+  };
+}
+
+// Readiness is the difficulty-weighted average score of the answered
+// questions, scaled down by how much of the session was left unanswered:
+// answering half the questions caps readiness at 75% of that average.
+function computeReadiness(questions, answersByQuestion) {
+  let weightedScore = 0;
+  let totalWeight = 0;
+
+  for (const question of questions) {
+    const answer = answersByQuestion.get(question.id);
+    if (!answer) continue;
+    const weight = DIFFICULTY_WEIGHTS[question.difficulty_level] || 1;
+    weightedScore += answer.score * weight;
+    totalWeight += weight;
+  }
+
+  if (totalWeight === 0) return 0;
+
+  const coverage = answersByQuestion.size / questions.length;
+  return Math.round((weightedScore / totalWeight) * (0.5 + 0.5 * coverage));
+}
+
+// Builds the aggregate numbers for a session from its questions and the
+// latest graded attempt of each. Shared by the report, the PDF export and
+// public session shares, so they all show the same numbers.
+export function buildScorecard(questions, latestAnswers) {
+  const answersByQuestion = new Map(latestAnswers.map(answer => [answer.question_id, answer]));
+
+  const byCriterion = {};
+  for (const criterion of RUBRIC_CRITERIA) {
+    // Rubric criteria are scored 0-10; report them on the same 0-100 scale.
+    const scores = latestAnswers
+      .map(answer => parseJsonColumn(answer.rubric)?.[criterion]?.score)
+      .filter(score => typeof score === 'number')
+      .map(score => score * 10);
+    byCriterion[criterion] = average(scores);
+  }
+
+  const byType = groupScores(questions, answersByQuestion, 'question_type');
+  const byDifficulty = groupScores(questions, answersByQuestion, 'difficulty_level');
+
+  return {
+    totalQuestions: questions.length,
+    answeredQuestions: answersByQuestion.size,
+    averageScore: average(latestAnswers.map(answer => answer.score)),
+    readinessScore: computeReadiness(questions, answersByQuestion),
+    byType,
+    byDifficulty,
+    byCriterion,
+    ...rankAreas(byType, byCriterion),
+    unansweredQuestionIds: questions.filter(q => !answersByQuestion.has(q.id)).map(q => q.id)
+  };
+}
+
+function createRecommendationPrompt(session, scorecard, latestAnswers) {
+  const tips = latestAnswers
+    .flatMap(answer => parseJsonColumn(answer.improvement_tips) || [])
+    .slice(0, 20);
+
+  return `You are an interview coach reviewing a candidate's mock interview results.
+
+${session.job_description ? `Target role:\n${session.job_description.substring(0, 2000)}\n` : ''}
+Scorecard (scores are 0-100):
+${JSON.stringify({
+  readinessScore: scorecard.readinessScore,
+  answered: `${scorecard.answeredQuestions}/${scorecard.totalQuestions}`,
+  byType: scorecard.byType,
+  byDifficulty: scorecard.byDifficulty,
+  byCriterion: scorecard.byCriterion,
+  strongest: scorecard.strongest,
+  weakest: scorecard.weakest
+}, null, 2)}
+
+Feedback already given on individual answers:
+${tips.map(tip => `- ${tip}`).join('\n') || '- none'}
+
+Write a short overall assessment and 3-5 prioritised next steps. Each next step must target one of the weakest areas and say exactly what to practise.
+
+CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown, no extra text.
+
+Format:
+{
+  "summary": "2-3 sentences",
+  "nextSteps": ["specific next step", "specific next step"]
+}`;
+}
+
+function createFallbackRecommendations(scorecard) {
+  const nextSteps = scorecard.weakest.map(({ area, kind }) =>
+    kind === 'rubric'
+      ? `Focus on the ${area} of your answers; re-answer your lowest scoring questions with that in mind.`
+      : `Practise more ${area.replace(/_/g, ' ')} questions and compare your answers with the suggested answers.`
+  );
+
+  if (scorecard.unansweredQuestionIds.length > 0) {
+    nextSteps.push(`Answer the remaining ${scorecard.unansweredQuestionIds.length} questions to get a complete picture.`);
+  }
+
+  return {
+    summary: `Your readiness score is ${scorecard.readinessScore}/100 based on ${scorecard.answeredQuestions} graded answers.`,
+    nextSteps
+  };
+}
+
+export async function buildSessionReport(session, questions, latestAnswers) {
+  const scorecard = buildScorecard(questions, latestAnswers);
+
+  let recommendations;
+  try {
+    const result = await generateJson(createRecommendationPrompt(session, scorecard, latestAnswers));
+    recommendations = {
+      summary: typeof result.summary === 'string' ? result.summary : '',
+      nextSteps: Array.isArray(result.nextSteps) ? result.nextSteps.filter(step => typeof step === 'string') : []
+    };
+  } catch (error) {
+    console.error('Error generating report recommendations:', error);
+    recommendations = createFallbackRecommendations(scorecard);
+  }
+
+  return {
+    ...scorecard,
+    ...recommendations,
+    generatedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,99 @@
+import dotenv from 'dotenv';
+import { hashToken } from './tokens.js';
+import { findShareByTokenHash } from '../repositories/shareRepository.js';
+
+dotenv.config();
+
+const CLIENT_URL = process.env.CLIENT_URL || process.env.API_URL;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_LABEL_LENGTH = 100;
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_AUTHOR_NAME_LENGTH = 100;
+
+export const shareUrl = (token) => `${CLIENT_URL}/shared/${token}`;
+
+export function shareStatus(share) {
+  if (share.revoked_at) return 'revoked';
+  if (Number(share.is_expired)) return 'expired';
+  return 'active';
+}
+
+export function formatShare(share) {
+  return {
+    id: share.id,
+    type: share.session_id ? 'session' : 'cv_analysis',
+    sessionId: share.session_id,
+    analysisId: share.analysis_id,
+    label: share.label,
+    allowComments: Boolean(share.allow_comments),
+    status: shareStatus(share),
+    expiresAt: share.expires_at,
+    revokedAt: share.revoked_at,
+    viewCount: share.view_count,
+    lastViewedAt: share.last_viewed_at,
+    createdAt: share.created_at
+  };
+}
+
+export const formatShareComment = (comment) => ({
+  id: comment.id,
+  questionId: comment.question_id,
+  authorName: comment.author_name,
+  comment: comment.comment,
+  createdAt: comment.created_at
+});
+
+// Validates the body of POST /api/shares. Exactly one of sessionId and
+// analysisId names what is shared.
+export function parseShareInput({ sessionId, analysisId, expiresInDays, allowComments, label } = {}) {
+  const errors = [];
+
+  if ((sessionId === undefined) === (analysisId === undefined)) {
+    errors.push('Provide exactly one of sessionId or analysisId');
+  } else if (!Number.isInteger(sessionId ?? analysisId)) {
+    errors.push(`${sessionId !== undefined ? 'sessionId' : 'analysisId'} must be an integer`);
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS)) {
+    errors.push(`expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  if (allowComments !== undefined && typeof allowComments !== 'boolean') {
+    errors.push('allowComments must be a boolean');
+  }
+
+  if (label !== undefined && label !== null
+    && (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH)) {
+    errors.push(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    input: {
+      sessionId: sessionId ?? null,
+      analysisId: analysisId ?? null,
+      expiresInDays: expiresInDays || null,
+      allowComments: allowComments === true,
+      label: label ? label.trim() : null
+    }
+  };
+}
+
+// Looks up the share behind a public token. Resolves with { share } or
+// { error } where error is SHARE_NOT_FOUND (unknown or revoked) or
+// SHARE_EXPIRED.
+export async function resolveShareToken(token) {
+  if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+    return { error: 'SHARE_NOT_FOUND' };
+  }
+
+  const share = await findShareByTokenHash(hashToken(token));
+  if (!share || share.revoked_at) return { error: 'SHARE_NOT_FOUND' };
+  if (Number(share.is_expired)) return { error: 'SHARE_EXPIRED' };
+
+  return { share };
+}
@@ -0,0 +1,55 @@
+import dotenv from 'dotenv';
+import { createSpeechProvider } from './providers.js';
+
+dotenv.config();
+
+const providerName = process.env.SPEECH_PROVIDER
+  || (process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'google' : 'local');
+const provider = createSpeechProvider(providerName);
+
+// Sessions store the language the questions were written in as a name
+// ("Spanish") or a code ("de"); speech services need a BCP-47 locale.
+const LANGUAGE_CODES = {
+  english: 'en-US',
+  spanish: 'es-ES',
+  french: 'fr-FR',
+  german: 'de-DE',
+  italian: 'it-IT',
+  portuguese: 'pt-BR',
+  dutch: 'nl-NL',
+  polish: 'pl-PL',
+  turkish: 'tr-TR',
+  russian: 'ru-RU',
+  ukrainian: 'uk-UA',
+  arabic: 'ar-XA',
+  hindi: 'hi-IN',
+  japanese: 'ja-JP',
+  korean: 'ko-KR',
+  chinese: 'cmn-CN',
+  mandarin: 'cmn-CN'
+};
+
+export function toLanguageCode(language) {
+  if (!language) return 'en-US';
+  const trimmed = language.trim();
+  if (/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(trimmed)) return trimmed;
+  return LANGUAGE_CODES[trimmed.toLowerCase()] || 'en-US';
+}
+
+export const speechProviderName = provider.name;
+
+export function acceptsAudioType(mimeType) {
+  return provider.acceptsMimeType(mimeType);
+}
+
+// Speaks text through the provider selected by SPEECH_PROVIDER (google or
+// local). Returns { audio, mimeType }.
+export async function synthesizeSpeech(text, { language } = {}) {
+  return provider.synthesize(text, { languageCode: toLanguageCode(language) });
+}
+
+// Returns { transcript, confidence }; confidence is null when the provider
+// does not report one.
+export async function transcribeAudio(audio, { mimeType, language } = {}) {
+  return provider.transcribe(audio, { mimeType, languageCode: toLanguageCode(language) });
+}
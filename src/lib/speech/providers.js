@@ -0,0 +1,143 @@
+import speech from '@google-cloud/speech';
+import textToSpeech from '@google-cloud/text-to-speech';
+
+// Every provider implements the same two calls:
+//
+//   synthesize(text, { languageCode })  -> { audio: Buffer, mimeType }
+//   transcribe(audio, { mimeType, languageCode }) -> { transcript, confidence }
+//
+// plus `acceptsMimeType(mimeType)` so uploads can be rejected before any work
+// is done on them.
+
+// Google Speech-to-Text encodings for the formats browsers record in. WAV
+// and FLAC carry their sample rate in the header; the Opus containers are
+// always 48 kHz.
+const GOOGLE_ENCODINGS = {
+  'audio/webm': { encoding: 'WEBM_OPUS', sampleRateHertz: 48000 },
+  'audio/ogg': { encoding: 'OGG_OPUS', sampleRateHertz: 48000 },
+  'audio/wav': { encoding: 'LINEAR16' },
+  'audio/x-wav': { encoding: 'LINEAR16' },
+  'audio/wave': { encoding: 'LINEAR16' },
+  'audio/flac': { encoding: 'FLAC' },
+  'audio/x-flac': { encoding: 'FLAC' }
+};
+
+// Strips parameters such as "; codecs=opus" that MediaRecorder adds.
+const baseMimeType = (mimeType = '') => mimeType.split(';')[0].trim().toLowerCase();
+
+function createGoogleProvider() {
+  // Credentials come from GOOGLE_APPLICATION_CREDENTIALS as usual for the
+  // Google Cloud client libraries.
+  const speechClient = new speech.SpeechClient();
+  const ttsClient = new textToSpeech.TextToSpeechClient();
+
+  return {
+    name: 'google',
+
+    acceptsMimeType(mimeType) {
+      return Boolean(GOOGLE_ENCODINGS[baseMimeType(mimeType)]);
+    },
+
+    async synthesize(text, { languageCode }) {
+      const [response] = await ttsClient.synthesizeSpeech({
+        input: { text },
+        voice: {
+          languageCode,
+          name: process.env.GOOGLE_TTS_VOICE || undefined,
+          ssmlGender: 'NEUTRAL'
+        },
+        audioConfig: { audioEncoding: 'MP3' }
+      });
+      return { audio: Buffer.from(response.audioContent), mimeType: 'audio/mpeg' };
+    },
+
+    async transcribe(audio, { mimeType, languageCode }) {
+      const [response] = await speechClient.recognize({
+        audio: { content: audio.toString('base64') },
+        config: {
+          ...GOOGLE_ENCODINGS[baseMimeType(mimeType)],
+          languageCode,
+          enableAutomaticPunctuation: true
+        }
+      });
+
+      const alternatives = (response.results || [])
+        .map(result => result.alternatives && result.alternatives[0])
+        .filter(Boolean);
+
+      return {
+        transcript: alternatives.map(alternative => alternative.transcript.trim()).join(' ').trim(),
+        confidence: alternatives.length
+          ? alternatives.reduce((sum, alternative) => sum + (alternative.confidence || 0), 0) / alternatives.length
+          : null
+      };
+    }
+  };
+}
+
+// 16-bit mono PCM WAV of silence, roughly as long as the text would take to
+// read aloud, so clients can exercise playback without a speech service.
+function createSilentWav(text) {
+  const sampleRate = 8000;
+  const seconds = Math.min(60, Math.max(1, Math.round(text.split(/\s+/).length / 2.5)));
+  const dataSize = sampleRate * seconds * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  return buffer;
+}
+
+// Offline stand-in for development and tests. Synthesis returns silence;
+// transcription returns the upload itself when it is a text/plain file, so a
+// test can "speak" an exact answer, and a fixed placeholder for real audio.
+function createLocalProvider() {
+  return {
+    name: 'local',
+
+    acceptsMimeType(mimeType) {
+      const type = baseMimeType(mimeType);
+      return type.startsWith('audio/') || type === 'text/plain';
+    },
+
+    async synthesize(text) {
+      return { audio: createSilentWav(text), mimeType: 'audio/wav' };
+    },
+
+    async transcribe(audio, { mimeType }) {
+      if (baseMimeType(mimeType) === 'text/plain') {
+        return { transcript: audio.toString('utf8').trim(), confidence: 1 };
+      }
+      return {
+        transcript: process.env.LOCAL_SPEECH_TRANSCRIPT
+          || `This is a placeholder transcript for a ${audio.length}-byte recording.`,
+        confidence: null
+      };
+    }
+  };
+}
+
+const factories = {
+  google: createGoogleProvider,
+  local: createLocalProvider
+};
+
+export function createSpeechProvider(name) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown SPEECH_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+  }
+  return factory();
+}
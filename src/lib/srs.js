@@ -0,0 +1,46 @@
+// SM-2 spaced repetition (SuperMemo 2). Quality is 0-5: 5 perfect recall,
+// 3 correct with effort, below 3 a lapse that restarts the item.
+
+export const MIN_QUALITY = 0;
+export const MAX_QUALITY = 5;
+
+const MIN_EASINESS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maps an AI grade (0-100) onto SM-2 quality.
+export function qualityFromScore(score) {
+  if (score >= 90) return 5;
+  if (score >= 75) return 4;
+  if (score >= 60) return 3;
+  if (score >= 40) return 2;
+  if (score >= 20) return 1;
+  return 0;
+}
+
+// Returns the item's next state after a review of the given quality. item
+// holds { easiness, intervalDays, repetitions, lapses }.
+export function scheduleReview(item, quality, now = new Date()) {
+  let { repetitions, intervalDays, lapses } = item;
+
+  if (quality >= 3) {
+    if (repetitions === 0) intervalDays = 1;
+    else if (repetitions === 1) intervalDays = 6;
+    else intervalDays = Math.round(intervalDays * item.easiness);
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  }
+
+  const miss = MAX_QUALITY - quality;
+  const easiness = Math.max(MIN_EASINESS, item.easiness + (0.1 - miss * (0.08 + miss * 0.02)));
+
+  return {
+    easiness: Math.round(easiness * 100) / 100,
+    intervalDays,
+    repetitions,
+    lapses,
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS)
+  };
+}
@@ -0,0 +1,28 @@
+const HEARTBEAT_MS = 15000;
+
+// Switches the response to a Server-Sent Events stream. Returns send(event,
+// data) and close(); a comment line is written periodically so proxies do not
+// drop the connection while the model is thinking.
+export function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
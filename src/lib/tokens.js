@@ -0,0 +1,11 @@
+import crypto from 'crypto';
+
+// Opaque tokens that travel by email or to the client are only ever stored as
+// a SHA-256 digest, so a leaked database row cannot be replayed.
+export function generateRandomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
@@ -0,0 +1,44 @@
+import multer from 'multer';
+import dotenv from 'dotenv';
+import { acceptsAudioType } from '../lib/speech/index.js';
+
+dotenv.config();
+
+// Google's synchronous recognition takes at most about a minute of audio,
+// which comfortably fits in this limit for compressed recordings.
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_BYTES, files: 1 },
+  fileFilter(req, file, callback) {
+    if (!acceptsAudioType(file.mimetype)) {
+      const error = new Error(`Unsupported audio type "${file.mimetype}"`);
+      error.code = 'UNSUPPORTED_AUDIO_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+}).single('audio');
+
+// Accepts one file in the `audio` field into req.file.buffer, and turns
+// upload problems into the usual JSON error responses.
+export function audioUpload(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        error: `Audio must be at most ${Math.floor(MAX_AUDIO_BYTES / (1024 * 1024))} MB`,
+        code: 'AUDIO_TOO_LARGE'
+      });
+    }
+
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code === 'UNSUPPORTED_AUDIO_TYPE' ? error.code : 'INVALID_AUDIO_UPLOAD'
+    });
+  });
+}
@@ -0,0 +1,88 @@
+import jwt from 'jsonwebtoken';
+import { findUserById } from '../repositories/userRepository.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+// Verifies the bearer token issued by /api/auth/login and attaches the
+// matching user row to req.user. Routes behind this must never trust an
+// email or user id sent by the client.
+export async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    return res.status(401).json({
+      success: false,
+      error: expired ? 'Session expired. Please log in again.' : 'Invalid authentication token',
+      code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    });
+  }
+
+  try {
+    const user = await findUserById(payload.userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    if (user.is_disabled) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your account has been disabled. Please contact support.',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
+    // token_version is bumped on password change and "log out all devices",
+    // which invalidates every access token issued before that point.
+    if ((payload.tokenVersion || 0) !== (user.token_version || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please log in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request'
+    });
+  }
+}
+
+// Must run after authenticate.
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Administrator access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+  next();
+}
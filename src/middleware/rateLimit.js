@@ -0,0 +1,155 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+export function sendTooManyRequests(res, retryAfterSeconds, error, code = 'RATE_LIMITED') {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error,
+    code,
+    retryAfter
+  });
+}
+
+// Fixed-window counters kept in process memory; each limiter has its own map,
+// so different routes never share a budget. keyGenerator returns the bucket
+// for a request (IP, account email or user id); null skips the limiter.
+export function rateLimit({ windowMs, max, keyGenerator, message }) {
+  const hits = new Map();
+
+  // Drop finished windows so the map does not grow without bound.
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    if (key === null || key === undefined) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+
+    if (entry.count > max) {
+      return sendTooManyRequests(res, (entry.resetAt - Date.now()) / 1000, message);
+    }
+    next();
+  };
+}
+
+const byIp = (prefix) => (req) => `${prefix}:ip:${req.ip}`;
+const byEmail = (prefix) => (req) => {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `${prefix}:email:${email}` : null;
+};
+const byUser = (prefix) => (req) => (req.user ? `${prefix}:user:${req.user.id}` : null);
+
+const AUTH_WINDOW_MS = envInt('RATE_LIMIT_AUTH_WINDOW_MS', 15 * 60 * 1000);
+const AI_WINDOW_MS = envInt('RATE_LIMIT_AI_WINDOW_MS', 60 * 60 * 1000);
+
+export const loginLimiter = [
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_LOGIN_PER_IP', 20),
+    keyGenerator: byIp('login'),
+    message: 'Too many login attempts from this address. Please try again later.'
+  }),
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_LOGIN_PER_ACCOUNT', 10),
+    keyGenerator: byEmail('login'),
+    message: 'Too many login attempts for this account. Please try again later.'
+  })
+];
+
+export const registerLimiter = [
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_REGISTER_PER_IP', 5),
+    keyGenerator: byIp('register'),
+    message: 'Too many registrations from this address. Please try again later.'
+  }),
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_REGISTER_PER_ACCOUNT', 3),
+    keyGenerator: byEmail('register'),
+    message: 'Too many registration attempts for this email. Please try again later.'
+  })
+];
+
+// Each request can email a reset link to any address, so it is limited per
+// address as well as per target account.
+export const forgotPasswordLimiter = [
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_FORGOT_PASSWORD_PER_IP', 5),
+    keyGenerator: byIp('forgot-password'),
+    message: 'Too many password reset requests from this address. Please try again later.'
+  }),
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_FORGOT_PASSWORD_PER_ACCOUNT', 3),
+    keyGenerator: byEmail('forgot-password'),
+    message: 'Too many password reset requests for this email. Please try again later.'
+  })
+];
+
+// The per-account cooldown is enforced by the route itself; this bounds how
+// many addresses one client can send verification emails to.
+export const resendVerificationLimiter = [
+  rateLimit({
+    windowMs: AUTH_WINDOW_MS,
+    max: envInt('RATE_LIMIT_RESEND_VERIFICATION_PER_IP', 5),
+    keyGenerator: byIp('resend-verification'),
+    message: 'Too many verification email requests from this address. Please try again later.'
+  })
+];
+
+// Applied after authenticate, so the per-account bucket is the token's user.
+export const aiLimiter = [
+  rateLimit({
+    windowMs: AI_WINDOW_MS,
+    max: envInt('RATE_LIMIT_AI_PER_IP', 60),
+    keyGenerator: byIp('ai'),
+    message: 'Too many AI requests from this address. Please try again later.'
+  }),
+  rateLimit({
+    windowMs: AI_WINDOW_MS,
+    max: envInt('RATE_LIMIT_AI_PER_ACCOUNT', 30),
+    keyGenerator: byUser('ai'),
+    message: 'You have reached the AI request limit. Please try again later.'
+  })
+];
+
+// Public share links need no login, so they are limited by address only.
+export const publicShareLimiter = [
+  rateLimit({
+    windowMs: envInt('RATE_LIMIT_SHARE_WINDOW_MS', 15 * 60 * 1000),
+    max: envInt('RATE_LIMIT_SHARE_PER_IP', 120),
+    keyGenerator: byIp('share'),
+    message: 'Too many requests for shared content from this address. Please try again later.'
+  })
+];
+
+export const shareCommentLimiter = [
+  rateLimit({
+    windowMs: envInt('RATE_LIMIT_SHARE_WINDOW_MS', 15 * 60 * 1000),
+    max: envInt('RATE_LIMIT_SHARE_COMMENTS_PER_IP', 30),
+    keyGenerator: byIp('share-comment'),
+    message: 'Too many comments from this address. Please try again later.'
+  })
+];
@@ -0,0 +1,41 @@
+import db from './lib/dbConnect.js';
+import { getMigrationStatus, migrateUp, migrateDown } from './lib/migrator.js';
+
+// Usage:
+//   node src/migrate.js up          apply all pending migrations
+//   node src/migrate.js down [n]    roll back the last n migrations (default 1)
+//   node src/migrate.js status      list applied and pending migrations
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(arg, 10) || 1;
+      const rolledBack = await migrateDown(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const { applied, pending, unknown } = await getMigrationStatus();
+      applied.forEach(m => console.log(`  applied  ${m.version}_${m.name}`));
+      pending.forEach(m => console.log(`  pending  ${m.version}_${m.name}`));
+      unknown.forEach(version => console.log(`  unknown  ${version}`));
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+  }
+}
+
+main()
+  .then(() => db.end())
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    db.end();
+    process.exitCode = 1;
+  });
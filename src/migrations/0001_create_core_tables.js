@@ -0,0 +1,48 @@
+// Baseline schema the routes were originally written against. IF NOT EXISTS
+// lets databases created before migrations existed adopt this version as-is.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    verification_token VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_users_email (email),
+    KEY idx_users_verification_token (verification_token)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS interview_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    cv_text MEDIUMTEXT NOT NULL,
+    job_description MEDIUMTEXT NULL,
+    session_type VARCHAR(32) NOT NULL DEFAULT 'cv_only',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_interview_sessions_user (user_id, created_at),
+    CONSTRAINT fk_interview_sessions_user FOREIGN KEY (user_id) REFERENCES users (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS interview_questions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    question_text TEXT NOT NULL,
+    question_type VARCHAR(32) NOT NULL DEFAULT 'general',
+    difficulty_level VARCHAR(16) NOT NULL DEFAULT 'medium',
+    suggested_answer TEXT NULL,
+    is_answered BOOLEAN NOT NULL DEFAULT FALSE,
+    order_index INT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_interview_questions_session (session_id, order_index),
+    CONSTRAINT fk_interview_questions_session FOREIGN KEY (session_id) REFERENCES interview_sessions (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS interview_questions',
+  'DROP TABLE IF EXISTS interview_sessions',
+  'DROP TABLE IF EXISTS users'
+];
@@ -0,0 +1,54 @@
+// Token revocation, expiring verification links, login lockout and profile
+// fields on users, plus the password reset and refresh token stores.
+export const up = [
+  `ALTER TABLE users
+    ADD COLUMN name VARCHAR(100) NULL AFTER password,
+    ADD COLUMN target_role VARCHAR(150) NULL AFTER name,
+    ADD COLUMN location VARCHAR(150) NULL AFTER target_role,
+    ADD COLUMN token_version INT NOT NULL DEFAULT 0 AFTER location,
+    ADD COLUMN verification_expires_at DATETIME NULL AFTER verification_token,
+    ADD COLUMN verification_sent_at DATETIME NULL AFTER verification_expires_at,
+    ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0 AFTER verification_sent_at,
+    ADD COLUMN locked_until DATETIME NULL AFTER failed_login_attempts`,
+
+  `CREATE TABLE password_reset_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_password_reset_tokens_hash (token_hash),
+    KEY idx_password_reset_tokens_user (user_id),
+    CONSTRAINT fk_password_reset_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    replaced_by_id INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+    KEY idx_refresh_tokens_family (family_id),
+    KEY idx_refresh_tokens_user (user_id),
+    CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS refresh_tokens',
+  'DROP TABLE IF EXISTS password_reset_tokens',
+  `ALTER TABLE users
+    DROP COLUMN locked_until,
+    DROP COLUMN failed_login_attempts,
+    DROP COLUMN verification_sent_at,
+    DROP COLUMN verification_expires_at,
+    DROP COLUMN token_version,
+    DROP COLUMN location,
+    DROP COLUMN target_role,
+    DROP COLUMN name`
+];
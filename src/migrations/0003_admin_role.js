@@ -0,0 +1,17 @@
+// Promote the first administrator by hand after applying this migration:
+//   UPDATE users SET role = 'admin' WHERE email = '...';
+export const up = [
+  `ALTER TABLE users
+    ADD COLUMN role VARCHAR(16) NOT NULL DEFAULT 'user' AFTER is_verified,
+    ADD COLUMN is_disabled BOOLEAN NOT NULL DEFAULT FALSE AFTER role,
+    ADD COLUMN disabled_at DATETIME NULL AFTER is_disabled,
+    ADD KEY idx_users_role (role)`
+];
+
+export const down = [
+  `ALTER TABLE users
+    DROP KEY idx_users_role,
+    DROP COLUMN disabled_at,
+    DROP COLUMN is_disabled,
+    DROP COLUMN role`
+];
@@ -0,0 +1,24 @@
+// One row per attempt; interview_questions.is_answered is set by the first.
+export const up = [
+  `CREATE TABLE question_answers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    question_id INT NOT NULL,
+    user_id INT NOT NULL,
+    attempt_number INT NOT NULL,
+    answer_text TEXT NOT NULL,
+    source VARCHAR(16) NOT NULL DEFAULT 'text',
+    score TINYINT UNSIGNED NULL,
+    rubric JSON NULL,
+    summary TEXT NULL,
+    improvement_tips JSON NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_question_answers_attempt (question_id, attempt_number),
+    KEY idx_question_answers_user (user_id, created_at),
+    CONSTRAINT fk_question_answers_question FOREIGN KEY (question_id) REFERENCES interview_questions (id) ON DELETE CASCADE,
+    CONSTRAINT fk_question_answers_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS question_answers'
+];
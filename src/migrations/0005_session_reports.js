@@ -0,0 +1,19 @@
+// The latest generated report per session, so it can be re-read without
+// another AI call. Regenerating overwrites it.
+export const up = [
+  `CREATE TABLE session_reports (
+    session_id INT PRIMARY KEY,
+    user_id INT NOT NULL,
+    readiness_score TINYINT UNSIGNED NOT NULL,
+    report JSON NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_session_reports_user (user_id),
+    CONSTRAINT fk_session_reports_session FOREIGN KEY (session_id) REFERENCES interview_sessions (id) ON DELETE CASCADE,
+    CONSTRAINT fk_session_reports_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS session_reports'
+];
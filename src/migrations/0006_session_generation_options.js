@@ -0,0 +1,9 @@
+// Normalised options /generate-questions was called with (counts per type and
+// difficulty, seniority, language). NULL for sessions created before this.
+export const up = [
+  'ALTER TABLE interview_sessions ADD COLUMN generation_options JSON NULL AFTER session_type'
+];
+
+export const down = [
+  'ALTER TABLE interview_sessions DROP COLUMN generation_options'
+];
@@ -0,0 +1,18 @@
+// Adaptive sessions serve one question at a time and may follow up on an
+// answer; follow-ups point back at the question they probe.
+export const up = [
+  `ALTER TABLE interview_sessions
+    ADD COLUMN mode VARCHAR(20) NOT NULL DEFAULT 'standard' AFTER session_type`,
+  `ALTER TABLE interview_questions
+    ADD COLUMN parent_question_id INT NULL AFTER session_id,
+    ADD COLUMN is_follow_up BOOLEAN NOT NULL DEFAULT FALSE AFTER parent_question_id,
+    ADD CONSTRAINT fk_interview_questions_parent FOREIGN KEY (parent_question_id) REFERENCES interview_questions (id) ON DELETE CASCADE`
+];
+
+export const down = [
+  `ALTER TABLE interview_questions
+    DROP FOREIGN KEY fk_interview_questions_parent,
+    DROP COLUMN is_follow_up,
+    DROP COLUMN parent_question_id`,
+  'ALTER TABLE interview_sessions DROP COLUMN mode'
+];
@@ -0,0 +1,40 @@
+// Session lifecycle (draft -> in_progress <-> paused -> completed) and the
+// clock behind timed practice. elapsed_seconds holds active time up to the
+// last pause; the running segment is measured from last_resumed_at. The same
+// applies per question with current_question_id and question_started_at.
+export const up = [
+  `ALTER TABLE interview_sessions
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'draft' AFTER mode,
+    ADD COLUMN started_at DATETIME NULL AFTER generation_options,
+    ADD COLUMN paused_at DATETIME NULL AFTER started_at,
+    ADD COLUMN last_resumed_at DATETIME NULL AFTER paused_at,
+    ADD COLUMN completed_at DATETIME NULL AFTER last_resumed_at,
+    ADD COLUMN completion_reason VARCHAR(20) NULL AFTER completed_at,
+    ADD COLUMN elapsed_seconds INT NOT NULL DEFAULT 0 AFTER completion_reason,
+    ADD COLUMN time_limit_seconds INT NULL AFTER elapsed_seconds,
+    ADD COLUMN question_time_limit_seconds INT NULL AFTER time_limit_seconds,
+    ADD COLUMN current_question_id INT NULL AFTER question_time_limit_seconds,
+    ADD COLUMN question_started_at DATETIME NULL AFTER current_question_id,
+    ADD KEY idx_interview_sessions_status (user_id, status),
+    ADD CONSTRAINT fk_interview_sessions_current_question FOREIGN KEY (current_question_id) REFERENCES interview_questions (id) ON DELETE SET NULL`,
+  `ALTER TABLE interview_questions
+    ADD COLUMN time_spent_seconds INT NOT NULL DEFAULT 0 AFTER is_answered`
+];
+
+export const down = [
+  'ALTER TABLE interview_questions DROP COLUMN time_spent_seconds',
+  `ALTER TABLE interview_sessions
+    DROP FOREIGN KEY fk_interview_sessions_current_question,
+    DROP KEY idx_interview_sessions_status,
+    DROP COLUMN question_started_at,
+    DROP COLUMN current_question_id,
+    DROP COLUMN question_time_limit_seconds,
+    DROP COLUMN time_limit_seconds,
+    DROP COLUMN elapsed_seconds,
+    DROP COLUMN completion_reason,
+    DROP COLUMN completed_at,
+    DROP COLUMN last_resumed_at,
+    DROP COLUMN paused_at,
+    DROP COLUMN started_at,
+    DROP COLUMN status`
+];
@@ -0,0 +1,35 @@
+// Every question a user has been asked, across sessions, so new sessions can
+// avoid repeats. Rows outlive the sessions they came from. text_hash is the
+// SHA-256 of the lowercased, whitespace-collapsed text and merges exact
+// repeats; near-duplicates are detected in the application.
+export const up = [
+  `CREATE TABLE question_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    text_hash CHAR(64) NOT NULL,
+    question_text TEXT NOT NULL,
+    question_type VARCHAR(32) NOT NULL,
+    times_asked INT NOT NULL DEFAULT 1,
+    first_asked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_asked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_question_history_text (user_id, text_hash),
+    KEY idx_question_history_recent (user_id, last_asked_at),
+    CONSTRAINT fk_question_history_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  `INSERT INTO question_history (user_id, text_hash, question_text, question_type, times_asked, first_asked_at, last_asked_at)
+   SELECT
+     s.user_id,
+     SHA2(LOWER(TRIM(REGEXP_REPLACE(q.question_text, '[[:space:]]+', ' '))), 256) AS text_hash,
+     MIN(q.question_text),
+     MIN(q.question_type),
+     COUNT(*),
+     MIN(q.created_at),
+     MAX(q.created_at)
+   FROM interview_questions q
+   JOIN interview_sessions s ON s.id = q.session_id
+   GROUP BY s.user_id, text_hash`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS question_history'
+];
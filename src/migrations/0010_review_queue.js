@@ -0,0 +1,42 @@
+// Spaced-repetition state per (user, question), and a log of every review.
+// easiness, interval_days and repetitions are the SM-2 variables.
+export const up = [
+  `CREATE TABLE review_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    question_id INT NOT NULL,
+    easiness DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,
+    lapses INT NOT NULL DEFAULT 0,
+    review_count INT NOT NULL DEFAULT 0,
+    due_at DATETIME NOT NULL,
+    last_reviewed_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_review_items_question (user_id, question_id),
+    KEY idx_review_items_due (user_id, due_at),
+    CONSTRAINT fk_review_items_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    CONSTRAINT fk_review_items_question FOREIGN KEY (question_id) REFERENCES interview_questions (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE review_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    review_item_id INT NOT NULL,
+    user_id INT NOT NULL,
+    quality TINYINT UNSIGNED NOT NULL,
+    source VARCHAR(16) NOT NULL,
+    score TINYINT UNSIGNED NULL,
+    interval_days INT NOT NULL,
+    easiness DECIMAL(4,2) NOT NULL,
+    reviewed_at DATETIME NOT NULL,
+    KEY idx_review_logs_item (review_item_id, reviewed_at),
+    KEY idx_review_logs_user (user_id, reviewed_at),
+    CONSTRAINT fk_review_logs_item FOREIGN KEY (review_item_id) REFERENCES review_items (id) ON DELETE CASCADE,
+    CONSTRAINT fk_review_logs_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS review_logs',
+  'DROP TABLE IF EXISTS review_items'
+];
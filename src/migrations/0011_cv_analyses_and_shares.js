@@ -0,0 +1,55 @@
+// CV analyses are kept so they can be shared (and compared over time).
+// A share is a revocable, optionally expiring link to one session or one
+// analysis; only the SHA-256 of its token is stored. Reviewers holding a
+// share link can leave comments on a session's questions.
+export const up = [
+  `CREATE TABLE cv_analyses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    cv_text MEDIUMTEXT NOT NULL,
+    overall_grade VARCHAR(4) NULL,
+    score TINYINT UNSIGNED NULL,
+    analysis JSON NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_cv_analyses_user (user_id, created_at),
+    CONSTRAINT fk_cv_analyses_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE shares (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    session_id INT NULL,
+    analysis_id INT NULL,
+    token_hash CHAR(64) NOT NULL,
+    label VARCHAR(100) NULL,
+    allow_comments BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    view_count INT NOT NULL DEFAULT 0,
+    last_viewed_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_shares_token (token_hash),
+    KEY idx_shares_user (user_id, created_at),
+    CONSTRAINT fk_shares_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+    CONSTRAINT fk_shares_session FOREIGN KEY (session_id) REFERENCES interview_sessions (id) ON DELETE CASCADE,
+    CONSTRAINT fk_shares_analysis FOREIGN KEY (analysis_id) REFERENCES cv_analyses (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE share_comments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    share_id INT NOT NULL,
+    question_id INT NOT NULL,
+    author_name VARCHAR(100) NULL,
+    comment TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_share_comments_share (share_id, question_id),
+    CONSTRAINT fk_share_comments_share FOREIGN KEY (share_id) REFERENCES shares (id) ON DELETE CASCADE,
+    CONSTRAINT fk_share_comments_question FOREIGN KEY (question_id) REFERENCES interview_questions (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS share_comments',
+  'DROP TABLE IF EXISTS shares',
+  'DROP TABLE IF EXISTS cv_analyses'
+];
@@ -0,0 +1,113 @@
+// Interview templates shape question generation and grading. Built-in
+// templates have no owner and a slug; users' own templates have a user_id.
+//
+//   type_weights        relative weights per question type
+//   difficulty_weights  relative weights per difficulty, NULL for the default
+//   focus_areas         JSON array of topics every question should draw on
+//   rubric              { criterion: { guidance, weight } } for grading
+const BUILTIN_TEMPLATES = [
+  {
+    slug: 'behavioral',
+    name: 'Behavioral only',
+    description: 'Competency-based questions answered with the STAR method.',
+    totalQuestions: 10,
+    typeWeights: { behavioral: 1 },
+    difficultyWeights: null,
+    focusAreas: ['teamwork', 'conflict resolution', 'ownership', 'handling failure', 'influencing others'],
+    persona: 'You are a hiring manager running a structured behavioral interview.',
+    instructions: 'Every question asks for a specific past situation. Answers follow the STAR method and end with a measurable result.',
+    rubric: {
+      structure: { guidance: 'Expect a complete Situation, Task, Action, Result; a missing Result caps this at 5.', weight: 2 },
+      depth: { guidance: 'Reward the candidate\'s own actions and concrete outcomes over what the team did.', weight: 1 }
+    }
+  },
+  {
+    slug: 'system-design',
+    name: 'System design',
+    description: 'Open-ended design problems drawn from the systems on the CV.',
+    totalQuestions: 6,
+    typeWeights: { technical: 4, cv_specific: 1, job_specific: 1 },
+    difficultyWeights: { medium: 1, hard: 2 },
+    focusAreas: ['requirements and scale estimates', 'data modelling', 'scalability', 'reliability and failure modes', 'trade-offs'],
+    persona: 'You are a senior staff engineer running a system design interview.',
+    instructions: 'Pose design problems rather than trivia: ask the candidate to design, scale or evolve a system related to their experience. Answers clarify requirements, sketch the architecture, and justify trade-offs.',
+    rubric: {
+      depth: { guidance: 'Reward explicit trade-offs, capacity estimates and handling of failure.', weight: 2 },
+      structure: { guidance: 'Expect requirements first, then high-level design, then deep dives.', weight: 1 }
+    }
+  },
+  {
+    slug: 'case-interview',
+    name: 'Case interview',
+    description: 'Business cases solved out loud, consulting style.',
+    totalQuestions: 5,
+    typeWeights: { general: 2, job_specific: 2, cv_specific: 1 },
+    difficultyWeights: { medium: 2, hard: 1 },
+    focusAreas: ['market sizing', 'profitability', 'market entry', 'prioritisation', 'recommendation'],
+    persona: 'You are a management consultant running a case interview.',
+    instructions: 'Each question is a short business case. Answers state assumptions, lay out a structured framework, do rough numbers, and finish with a clear recommendation.',
+    rubric: {
+      structure: { guidance: 'Expect a MECE framework stated before the analysis.', weight: 2 },
+      depth: { guidance: 'Reward stated assumptions and correct back-of-the-envelope arithmetic.', weight: 1 }
+    }
+  },
+  {
+    slug: 'hr-screen',
+    name: 'HR screen',
+    description: 'A short first-round screen on motivation, background and fit.',
+    totalQuestions: 8,
+    typeWeights: { general: 4, behavioral: 2, cv_specific: 2 },
+    difficultyWeights: { easy: 2, medium: 1 },
+    focusAreas: ['motivation for the role', 'career history', 'salary and availability', 'culture fit'],
+    persona: 'You are a friendly recruiter running a first-round phone screen.',
+    instructions: 'Keep questions conversational and non-technical. Answers are concise, positive and two to four sentences long.',
+    rubric: {
+      clarity: { guidance: 'Reward short, confident answers; penalise rambling.', weight: 2 },
+      relevance: { guidance: 'Expect the answer to connect back to this role and company.', weight: 1 }
+    }
+  }
+];
+
+const json = (value) => (value === null ? 'NULL' : `'${JSON.stringify(value).replace(/'/g, "''")}'`);
+const text = (value) => `'${value.replace(/'/g, "''")}'`;
+
+export const up = [
+  `CREATE TABLE interview_templates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NULL,
+    slug VARCHAR(50) NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500) NULL,
+    total_questions INT NULL,
+    type_weights JSON NOT NULL,
+    difficulty_weights JSON NULL,
+    focus_areas JSON NULL,
+    persona TEXT NULL,
+    instructions TEXT NULL,
+    rubric JSON NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_interview_templates_slug (slug),
+    KEY idx_interview_templates_user (user_id),
+    CONSTRAINT fk_interview_templates_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `INSERT INTO interview_templates
+    (slug, name, description, total_questions, type_weights, difficulty_weights, focus_areas, persona, instructions, rubric)
+   VALUES ${BUILTIN_TEMPLATES.map(t => `(${[
+    text(t.slug),
+    text(t.name),
+    text(t.description),
+    t.totalQuestions,
+    json(t.typeWeights),
+    json(t.difficultyWeights),
+    json(t.focusAreas),
+    text(t.persona),
+    text(t.instructions),
+    json(t.rubric)
+  ].join(', ')})`).join(',\n    ')}`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS interview_templates'
+];
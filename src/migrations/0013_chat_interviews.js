@@ -0,0 +1,33 @@
+// Chat-mode sessions (interview_sessions.mode = 'chat') are a free-form
+// conversation with an AI interviewer instead of a list of questions. The
+// transcript is kept message by message; the latest evaluation of the whole
+// conversation is kept per session, like session_reports.
+export const up = [
+  `CREATE TABLE chat_messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    role VARCHAR(16) NOT NULL,
+    content TEXT NOT NULL,
+    created_at DATETIME NOT NULL,
+    KEY idx_chat_messages_session (session_id, id),
+    CONSTRAINT fk_chat_messages_session FOREIGN KEY (session_id) REFERENCES interview_sessions (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE chat_evaluations (
+    session_id INT PRIMARY KEY,
+    user_id INT NOT NULL,
+    score TINYINT UNSIGNED NOT NULL,
+    message_count INT NOT NULL,
+    evaluation JSON NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_chat_evaluations_user (user_id),
+    CONSTRAINT fk_chat_evaluations_session FOREIGN KEY (session_id) REFERENCES interview_sessions (id) ON DELETE CASCADE,
+    CONSTRAINT fk_chat_evaluations_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS chat_evaluations',
+  'DROP TABLE IF EXISTS chat_messages'
+];
@@ -0,0 +1,14 @@
+// Answers given from the review queue are kept with the review that graded
+// them rather than as attempts in the question's session, so reviewing never
+// changes a session that is paused, finished or out of time.
+export const up = [
+  `ALTER TABLE review_logs
+    ADD COLUMN answer_text TEXT NULL AFTER score,
+    ADD COLUMN feedback JSON NULL AFTER answer_text`
+];
+
+export const down = [
+  `ALTER TABLE review_logs
+    DROP COLUMN feedback,
+    DROP COLUMN answer_text`
+];
@@ -0,0 +1,150 @@
+import db from '../lib/dbConnect.js';
+
+// Locks the question row first so concurrent submissions cannot be given the
+// same attempt number; locking the existing attempts alone would lock nothing
+// before the first one.
+export async function getNextAttemptNumber(questionId, conn = db) {
+  await conn.query('SELECT id FROM interview_questions WHERE id = ? FOR UPDATE', [questionId]);
+  const [[row]] = await conn.query(
+    'SELECT COALESCE(MAX(attempt_number), 0) + 1 AS next_attempt FROM question_answers WHERE question_id = ?',
+    [questionId]
+  );
+  return row.next_attempt;
+}
+
+export async function insertAnswer({ questionId, userId, attemptNumber, answerText, source, grading }, conn = db) {
+  const [result] = await conn.query(
+    `INSERT INTO question_answers
+      (question_id, user_id, attempt_number, answer_text, source, score, rubric, summary, improvement_tips)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      questionId,
+      userId,
+      attemptNumber,
+      answerText,
+      source,
+      grading ? grading.score : null,
+      grading ? JSON.stringify(grading.rubric) : null,
+      grading ? grading.summary : null,
+      grading ? JSON.stringify(grading.tips) : null
+    ]
+  );
+  return result.insertId;
+}
+
+export async function findAnswerById(answerId, conn = db) {
+  const [rows] = await conn.query('SELECT * FROM question_answers WHERE id = ?', [answerId]);
+  return rows[0] || null;
+}
+
+export async function listAnswersForQuestion(questionId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM question_answers WHERE question_id = ? ORDER BY attempt_number',
+    [questionId]
+  );
+  return rows;
+}
+
+export async function deleteAnswersForQuestion(questionId, conn = db) {
+  await conn.query('DELETE FROM question_answers WHERE question_id = ?', [questionId]);
+}
+
+export async function listAnswersForSession(sessionId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT a.* FROM question_answers a
+     JOIN interview_questions q ON q.id = a.question_id
+     WHERE q.session_id = ?
+     ORDER BY a.question_id, a.attempt_number`,
+    [sessionId]
+  );
+  return rows;
+}
+
+// The most recent graded attempt for each question in the session; earlier
+// attempts are superseded once the user tries again.
+export async function listLatestGradedAnswersForSession(sessionId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT a.* FROM question_answers a
+     JOIN interview_questions q ON q.id = a.question_id
+     WHERE q.session_id = ?
+       AND a.score IS NOT NULL
+       AND a.attempt_number = (
+         SELECT MAX(latest.attempt_number) FROM question_answers latest
+         WHERE latest.question_id = a.question_id AND latest.score IS NOT NULL
+       )`,
+    [sessionId]
+  );
+  return rows;
+}
+
+export async function getUserAnswerTotals(userId, conn = db) {
+  const [[totals]] = await conn.query(
+    `SELECT
+      COUNT(*) AS attempts,
+      COUNT(score) AS graded,
+      COUNT(DISTINCT question_id) AS questions,
+      AVG(score) AS average_score
+     FROM question_answers
+     WHERE user_id = ?`,
+    [userId]
+  );
+  return totals;
+}
+
+// Average of the latest graded attempt at each question, per question type
+// and difficulty, so retried questions count once at their current level.
+export async function getUserLatestScoresByCategory(userId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT q.question_type, q.difficulty_level, COUNT(*) AS questions, AVG(a.score) AS average_score
+     FROM question_answers a
+     JOIN interview_questions q ON q.id = a.question_id
+     WHERE a.user_id = ?
+       AND a.score IS NOT NULL
+       AND a.attempt_number = (
+         SELECT MAX(latest.attempt_number) FROM question_answers latest
+         WHERE latest.question_id = a.question_id AND latest.score IS NOT NULL
+       )
+     GROUP BY q.question_type, q.difficulty_level`,
+    [userId]
+  );
+  return rows;
+}
+
+// Every attempt in the period, per week (starting Monday) and question type.
+export async function getUserWeeklyScoresByType(userId, since, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT
+      DATE_FORMAT(DATE_SUB(DATE(a.created_at), INTERVAL WEEKDAY(a.created_at) DAY), '%Y-%m-%d') AS week_start,
+      q.question_type,
+      COUNT(*) AS attempts,
+      COUNT(a.score) AS graded,
+      COALESCE(SUM(a.score), 0) AS score_sum
+     FROM question_answers a
+     JOIN interview_questions q ON q.id = a.question_id
+     WHERE a.user_id = ? AND a.created_at >= ?
+     GROUP BY week_start, q.question_type`,
+    [userId, since]
+  );
+  return rows;
+}
+
+// How much retrying helps: for questions graded more than once, the change
+// from the first graded attempt to the latest.
+export async function getUserRetryGain(userId, conn = db) {
+  const [[row]] = await conn.query(
+    `SELECT COUNT(*) AS questions, AVG(latest_answer.score - first_answer.score) AS average_gain
+     FROM (
+       SELECT question_id, MIN(attempt_number) AS first_attempt, MAX(attempt_number) AS latest_attempt
+       FROM question_answers
+       WHERE user_id = ? AND score IS NOT NULL
+       GROUP BY question_id
+       HAVING COUNT(*) > 1
+     ) graded
+     JOIN question_answers first_answer
+       ON first_answer.question_id = graded.question_id AND first_answer.attempt_number = graded.first_attempt
+     JOIN question_answers latest_answer
+       ON latest_answer.question_id = graded.question_id AND latest_answer.attempt_number = graded.latest_attempt`,
+    [userId]
+  );
+  return row;
+}
@@ -0,0 +1,31 @@
+import db from '../lib/dbConnect.js';
+
+export async function insertChatMessage(sessionId, { role, content, createdAt }, conn = db) {
+  const [result] = await conn.query(
+    'INSERT INTO chat_messages (session_id, role, content, created_at) VALUES (?, ?, ?, ?)',
+    [sessionId, role, content, createdAt]
+  );
+  return result.insertId;
+}
+
+export async function listChatMessages(sessionId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM chat_messages WHERE session_id = ? ORDER BY id',
+    [sessionId]
+  );
+  return rows;
+}
+
+export async function saveChatEvaluation({ sessionId, userId, score, messageCount, evaluation }, conn = db) {
+  await conn.query(
+    `INSERT INTO chat_evaluations (session_id, user_id, score, message_count, evaluation)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE score = VALUES(score), message_count = VALUES(message_count), evaluation = VALUES(evaluation)`,
+    [sessionId, userId, score, messageCount, JSON.stringify(evaluation)]
+  );
+}
+
+export async function findChatEvaluation(sessionId, conn = db) {
+  const [rows] = await conn.query('SELECT * FROM chat_evaluations WHERE session_id = ?', [sessionId]);
+  return rows[0] || null;
+}
@@ -0,0 +1,36 @@
+import db from '../lib/dbConnect.js';
+
+export async function createCvAnalysis({ userId, cvText, analysis }, conn = db) {
+  const score = Number.isFinite(Number(analysis.score)) ? Math.round(Number(analysis.score)) : null;
+  const [result] = await conn.query(
+    `INSERT INTO cv_analyses (user_id, cv_text, overall_grade, score, analysis)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      userId,
+      cvText,
+      typeof analysis.overallGrade === 'string' ? analysis.overallGrade.slice(0, 4) : null,
+      score === null ? null : Math.min(100, Math.max(0, score)),
+      JSON.stringify(analysis)
+    ]
+  );
+  return result.insertId;
+}
+
+export async function findCvAnalysisForUser(analysisId, userId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM cv_analyses WHERE id = ? AND user_id = ?',
+    [analysisId, userId]
+  );
+  return rows[0] || null;
+}
+
+export async function listCvAnalysesForUser(userId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT id, overall_grade, score, created_at
+     FROM cv_analyses
+     WHERE user_id = ?
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
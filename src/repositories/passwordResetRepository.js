@@ -0,0 +1,46 @@
+import db from '../lib/dbConnect.js';
+
+export async function createPasswordResetToken(userId, tokenHash, expireMinutes, conn = db) {
+  await conn.query(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+    [userId, tokenHash, expireMinutes]
+  );
+}
+
+// Seconds since the user's most recent reset token was issued, or null if
+// none ever was. Uses the database clock, like the token expiry.
+export async function getSecondsSinceLastPasswordReset(userId, conn = db) {
+  const [[row]] = await conn.query(
+    'SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since FROM password_reset_tokens WHERE user_id = ?',
+    [userId]
+  );
+  return row.seconds_since === null ? null : Number(row.seconds_since);
+}
+
+export async function findActivePasswordResetToken(tokenHash, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM password_reset_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+    [tokenHash]
+  );
+  return rows[0] || null;
+}
+
+// Returns false when another request already used the token.
+export async function markPasswordResetTokenUsed(tokenId, conn = db) {
+  const [result] = await conn.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [tokenId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function invalidatePasswordResetTokens(userId, conn = db) {
+  await conn.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+}
+
+export async function deletePasswordResetTokensForUser(userId, conn = db) {
+  await conn.query('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+}
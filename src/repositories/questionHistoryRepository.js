@@ -0,0 +1,26 @@
+import db from '../lib/dbConnect.js';
+
+// rows: [{ textHash, questionText, questionType }]. Asking the same question
+// again bumps its count instead of adding a row.
+export async function recordQuestionHistory(userId, rows, conn = db) {
+  if (rows.length === 0) return;
+
+  await conn.query(
+    `INSERT INTO question_history (user_id, text_hash, question_text, question_type)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE times_asked = times_asked + 1, last_asked_at = CURRENT_TIMESTAMP`,
+    [rows.map(row => [userId, row.textHash, row.questionText, row.questionType])]
+  );
+}
+
+export async function listQuestionHistory(userId, limit, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT question_text, question_type, times_asked, last_asked_at
+     FROM question_history
+     WHERE user_id = ?
+     ORDER BY last_asked_at DESC
+     LIMIT ?`,
+    [userId, limit]
+  );
+  return rows;
+}
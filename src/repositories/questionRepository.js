@@ -0,0 +1,122 @@
+import db from '../lib/dbConnect.js';
+
+export async function insertQuestions(sessionId, questions, conn = db) {
+  if (questions.length === 0) return;
+
+  const values = questions.map(q => [
+    sessionId,
+    q.question_text,
+    q.question_type,
+    q.difficulty_level,
+    q.suggested_answer,
+    q.order_index
+  ]);
+
+  await conn.query(
+    'INSERT INTO interview_questions (session_id, question_text, question_type, difficulty_level, suggested_answer, order_index) VALUES ?',
+    [values]
+  );
+}
+
+export async function insertQuestion(sessionId, question, conn = db) {
+  const [result] = await conn.query(
+    `INSERT INTO interview_questions
+      (session_id, parent_question_id, is_follow_up, question_text, question_type, difficulty_level, suggested_answer, order_index)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      question.parent_question_id || null,
+      Boolean(question.is_follow_up),
+      question.question_text,
+      question.question_type,
+      question.difficulty_level,
+      question.suggested_answer,
+      question.order_index
+    ]
+  );
+  return result.insertId;
+}
+
+export async function listQuestionsForSession(sessionId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM interview_questions WHERE session_id = ? ORDER BY order_index',
+    [sessionId]
+  );
+  return rows;
+}
+
+// Joins through the session so a question is only found by the user who
+// owns the session it belongs to.
+export async function findQuestionForUser(questionId, userId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT q.* FROM interview_questions q
+     JOIN interview_sessions s ON s.id = q.session_id
+     WHERE q.id = ? AND s.user_id = ?`,
+    [questionId, userId]
+  );
+  return rows[0] || null;
+}
+
+export async function updateQuestionFields(questionId, fields, conn = db) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+
+  await conn.query(
+    `UPDATE interview_questions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(fields), questionId]
+  );
+}
+
+export async function deleteQuestion(questionId, conn = db) {
+  await conn.query('DELETE FROM interview_questions WHERE id = ?', [questionId]);
+}
+
+// Moves every question at or after fromOrderIndex by delta (+1 to open a gap
+// for an insert, -1 to close one after a delete).
+export async function shiftQuestionOrder(sessionId, fromOrderIndex, delta, conn = db) {
+  await conn.query(
+    'UPDATE interview_questions SET order_index = order_index + ? WHERE session_id = ? AND order_index >= ?',
+    [delta, sessionId, fromOrderIndex]
+  );
+}
+
+// Renumbers the session's questions 1..n in the order of questionIds.
+export async function setQuestionOrder(sessionId, questionIds, conn = db) {
+  if (questionIds.length === 0) return;
+
+  await conn.query(
+    `UPDATE interview_questions
+     SET order_index = CASE id ${questionIds.map(() => 'WHEN ? THEN ?').join(' ')} END
+     WHERE session_id = ? AND id IN (?)`,
+    [...questionIds.flatMap((id, index) => [id, index + 1]), sessionId, questionIds]
+  );
+}
+
+export async function addQuestionTime(questionId, seconds, conn = db) {
+  await conn.query(
+    'UPDATE interview_questions SET time_spent_seconds = time_spent_seconds + ? WHERE id = ?',
+    [seconds, questionId]
+  );
+}
+
+export async function markQuestionAnswered(questionId, conn = db) {
+  await conn.query('UPDATE interview_questions SET is_answered = TRUE WHERE id = ?', [questionId]);
+}
+
+export async function getQuestionTotals(conn = db) {
+  const [[totals]] = await conn.query(
+    'SELECT COUNT(*) AS total, COALESCE(SUM(is_answered), 0) AS answered FROM interview_questions'
+  );
+  return totals;
+}
+
+export async function getUserQuestionTotals(userId, conn = db) {
+  const [[totals]] = await conn.query(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(q.is_answered), 0) AS answered
+     FROM interview_questions q
+     JOIN interview_sessions s ON s.id = q.session_id
+     WHERE s.user_id = ?`,
+    [userId]
+  );
+  return totals;
+}
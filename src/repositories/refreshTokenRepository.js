@@ -0,0 +1,50 @@
+import db from '../lib/dbConnect.js';
+
+export async function insertRefreshToken({ userId, familyId, tokenHash, expireDays }, conn = db) {
+  const [result] = await conn.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userId, familyId, tokenHash, expireDays]
+  );
+  return result.insertId;
+}
+
+export async function findRefreshToken(tokenHash, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT *, expires_at <= NOW() AS is_expired FROM refresh_tokens WHERE token_hash = ?',
+    [tokenHash]
+  );
+  return rows[0] || null;
+}
+
+// Returns false when the token was already revoked, e.g. by a concurrent
+// refresh that presented the same token.
+export async function claimRefreshToken(tokenId, conn = db) {
+  const [result] = await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [tokenId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function setReplacedBy(tokenId, replacementId, conn = db) {
+  await conn.query('UPDATE refresh_tokens SET replaced_by_id = ? WHERE id = ?', [replacementId, tokenId]);
+}
+
+export async function revokeRefreshTokenFamily(familyId, conn = db) {
+  await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+}
+
+export async function revokeRefreshTokensForUser(userId, conn = db) {
+  await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+export async function deleteRefreshTokensForUser(userId, conn = db) {
+  await conn.query('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+}
@@ -0,0 +1,15 @@
+import db from '../lib/dbConnect.js';
+
+export async function saveSessionReport({ sessionId, userId, readinessScore, report }, conn = db) {
+  await conn.query(
+    `INSERT INTO session_reports (session_id, user_id, readiness_score, report)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE readiness_score = VALUES(readiness_score), report = VALUES(report)`,
+    [sessionId, userId, readinessScore, JSON.stringify(report)]
+  );
+}
+
+export async function findSessionReport(sessionId, conn = db) {
+  const [rows] = await conn.query('SELECT * FROM session_reports WHERE session_id = ?', [sessionId]);
+  return rows[0] || null;
+}
@@ -0,0 +1,101 @@
+import db from '../lib/dbConnect.js';
+
+const REVIEW_ITEM_SELECT = `
+  SELECT
+    r.*,
+    q.question_text,
+    q.question_type,
+    q.difficulty_level,
+    q.suggested_answer,
+    q.session_id,
+    s.title AS session_title
+  FROM review_items r
+  JOIN interview_questions q ON q.id = r.question_id
+  JOIN interview_sessions s ON s.id = q.session_id`;
+
+// Adds the question to the user's queue, due at dueAt, unless it is already
+// there; then returns its row locked for update.
+export async function ensureReviewItem(userId, questionId, dueAt, conn = db) {
+  await conn.query(
+    'INSERT IGNORE INTO review_items (user_id, question_id, due_at) VALUES (?, ?, ?)',
+    [userId, questionId, dueAt]
+  );
+  const [rows] = await conn.query(
+    'SELECT * FROM review_items WHERE user_id = ? AND question_id = ? FOR UPDATE',
+    [userId, questionId]
+  );
+  return rows[0] || null;
+}
+
+export async function findReviewItemForUser(itemId, userId, conn = db) {
+  const [rows] = await conn.query(`${REVIEW_ITEM_SELECT} WHERE r.id = ? AND r.user_id = ?`, [itemId, userId]);
+  return rows[0] || null;
+}
+
+export async function findReviewItemByQuestion(userId, questionId, conn = db) {
+  const [rows] = await conn.query(`${REVIEW_ITEM_SELECT} WHERE r.user_id = ? AND r.question_id = ?`, [userId, questionId]);
+  return rows[0] || null;
+}
+
+export async function updateReviewSchedule(itemId, { easiness, intervalDays, repetitions, lapses, dueAt }, reviewedAt, conn = db) {
+  await conn.query(
+    `UPDATE review_items
+     SET easiness = ?, interval_days = ?, repetitions = ?, lapses = ?, due_at = ?,
+         last_reviewed_at = ?, review_count = review_count + 1
+     WHERE id = ?`,
+    [easiness, intervalDays, repetitions, lapses, dueAt, reviewedAt, itemId]
+  );
+}
+
+export async function insertReviewLog({ itemId, userId, quality, source, score, answerText = null, feedback = null, intervalDays, easiness, reviewedAt }, conn = db) {
+  await conn.query(
+    `INSERT INTO review_logs (review_item_id, user_id, quality, source, score, answer_text, feedback, interval_days, easiness, reviewed_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [itemId, userId, quality, source, score, answerText, feedback && JSON.stringify(feedback), intervalDays, easiness, reviewedAt]
+  );
+}
+
+// Most overdue first.
+export async function listDueReviewItems(userId, dueBefore, limit, conn = db) {
+  const [rows] = await conn.query(
+    `${REVIEW_ITEM_SELECT}
+     WHERE r.user_id = ? AND r.due_at < ?
+     ORDER BY r.due_at
+     LIMIT ?`,
+    [userId, dueBefore, limit]
+  );
+  return rows;
+}
+
+export async function getReviewCounts(userId, dueBefore, conn = db) {
+  const [[counts]] = await conn.query(
+    `SELECT
+      COUNT(*) AS total,
+      COALESCE(SUM(due_at < ?), 0) AS due,
+      COALESCE(SUM(review_count = 0), 0) AS new_items,
+      COALESCE(SUM(repetitions >= 3), 0) AS established
+     FROM review_items
+     WHERE user_id = ?`,
+    [dueBefore, userId]
+  );
+  return counts;
+}
+
+export async function listReviewLogs(itemId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM review_logs WHERE review_item_id = ? ORDER BY reviewed_at',
+    [itemId]
+  );
+  return rows;
+}
+
+export async function deleteReviewItemForUser(itemId, userId, conn = db) {
+  const [result] = await conn.query('DELETE FROM review_items WHERE id = ? AND user_id = ?', [itemId, userId]);
+  return result.affectedRows > 0;
+}
+
+// Drops a question's spaced-repetition state and review history, for when the
+// question itself is replaced and the old schedule no longer applies.
+export async function deleteReviewItemForQuestion(questionId, conn = db) {
+  await conn.query('DELETE FROM review_items WHERE question_id = ?', [questionId]);
+}
@@ -0,0 +1,147 @@
+import db from '../lib/dbConnect.js';
+
+export async function createSession({ userId, title, cvText, jobDescription, sessionType, mode = 'standard', generationOptions = null }, conn = db) {
+  const [result] = await conn.query(
+    `INSERT INTO interview_sessions (user_id, title, cv_text, job_description, session_type, mode, generation_options)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, title, cvText, jobDescription, sessionType, mode, generationOptions && JSON.stringify(generationOptions)]
+  );
+  return result.insertId;
+}
+
+// Ownership is part of every lookup: a session that belongs to someone else
+// is indistinguishable from one that does not exist.
+export async function findSessionForUser(sessionId, userId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM interview_sessions WHERE id = ? AND user_id = ?',
+    [sessionId, userId]
+  );
+  return rows[0] || null;
+}
+
+// Reads the session with a row lock, for read-modify-write of its state.
+export async function findSessionForUpdate(sessionId, userId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM interview_sessions WHERE id = ? AND user_id = ? FOR UPDATE',
+    [sessionId, userId]
+  );
+  return rows[0] || null;
+}
+
+export async function updateSessionFields(sessionId, fields, conn = db) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+
+  await conn.query(
+    `UPDATE interview_sessions SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(fields), sessionId]
+  );
+}
+
+// Serialises writers that extend a session, such as adaptive mode adding
+// the next question.
+export async function lockSession(sessionId, conn = db) {
+  await conn.query('SELECT id FROM interview_sessions WHERE id = ? FOR UPDATE', [sessionId]);
+}
+
+export async function listSessionsForUser(userId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT
+      s.*,
+      COUNT(q.id) as question_count,
+      COALESCE(SUM(q.is_answered), 0) AS answered_count,
+      COALESCE(SUM(q.time_spent_seconds), 0) AS time_on_questions_seconds
+     FROM interview_sessions s
+     LEFT JOIN interview_questions q ON s.id = q.session_id
+     WHERE s.user_id = ?
+     GROUP BY s.id
+     ORDER BY s.created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+export async function deleteSessionForUser(sessionId, userId, conn = db) {
+  await conn.query(
+    `DELETE q FROM interview_questions q
+     JOIN interview_sessions s ON s.id = q.session_id
+     WHERE s.id = ? AND s.user_id = ?`,
+    [sessionId, userId]
+  );
+  const [result] = await conn.query(
+    'DELETE FROM interview_sessions WHERE id = ? AND user_id = ?',
+    [sessionId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function deleteAllSessionsForUser(userId, conn = db) {
+  await conn.query(
+    `DELETE q FROM interview_questions q
+     JOIN interview_sessions s ON s.id = q.session_id
+     WHERE s.user_id = ?`,
+    [userId]
+  );
+  const [result] = await conn.query('DELETE FROM interview_sessions WHERE user_id = ?', [userId]);
+  return result.affectedRows;
+}
+
+export async function getSessionTotals(periodDays, conn = db) {
+  const [[totals]] = await conn.query(
+    `SELECT
+      COUNT(*) AS total,
+      COALESCE(SUM(session_type = 'cv_with_job'), 0) AS with_job_description,
+      COALESCE(SUM(created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)), 0) AS in_period
+     FROM interview_sessions`,
+    [periodDays]
+  );
+  return totals;
+}
+
+export async function getSessionsPerDay(periodDays, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT DATE(created_at) AS day, COUNT(*) AS sessions, COUNT(DISTINCT user_id) AS active_users
+     FROM interview_sessions
+     WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     GROUP BY DATE(created_at)
+     ORDER BY day`,
+    [periodDays]
+  );
+  return rows;
+}
+
+export async function getTopUsersBySessions(periodDays, limit, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT u.id, u.email, COUNT(s.id) AS session_count
+     FROM users u
+     JOIN interview_sessions s ON s.user_id = u.id
+     WHERE s.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     GROUP BY u.id
+     ORDER BY session_count DESC
+     LIMIT ?`,
+    [periodDays, limit]
+  );
+  return rows;
+}
+
+// Weeks start on Monday; week_start is returned as 'YYYY-MM-DD'.
+export async function getUserSessionsPerWeek(userId, since, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT
+      DATE_FORMAT(DATE_SUB(DATE(created_at), INTERVAL WEEKDAY(created_at) DAY), '%Y-%m-%d') AS week_start,
+      COUNT(*) AS sessions
+     FROM interview_sessions
+     WHERE user_id = ? AND created_at >= ?
+     GROUP BY week_start`,
+    [userId, since]
+  );
+  return rows;
+}
+
+export async function getUserSessionTotals(userId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT mode, COUNT(*) AS sessions FROM interview_sessions WHERE user_id = ? GROUP BY mode',
+    [userId]
+  );
+  return rows;
+}
@@ -0,0 +1,61 @@
+import db from '../lib/dbConnect.js';
+
+// Expiry is set from the database clock, the same clock is_expired below is
+// measured against.
+export async function createShare({ userId, sessionId = null, analysisId = null, tokenHash, label, allowComments, expiresInDays }, conn = db) {
+  const [result] = await conn.query(
+    `INSERT INTO shares (user_id, session_id, analysis_id, token_hash, label, allow_comments, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))`,
+    [userId, sessionId, analysisId, tokenHash, label, allowComments, expiresInDays, expiresInDays]
+  );
+  return result.insertId;
+}
+
+const SHARE_SELECT = `
+  SELECT sh.*, (sh.expires_at IS NOT NULL AND sh.expires_at <= NOW()) AS is_expired
+  FROM shares sh`;
+
+export async function findShareByTokenHash(tokenHash, conn = db) {
+  const [rows] = await conn.query(`${SHARE_SELECT} WHERE sh.token_hash = ?`, [tokenHash]);
+  return rows[0] || null;
+}
+
+export async function findShareForUser(shareId, userId, conn = db) {
+  const [rows] = await conn.query(`${SHARE_SELECT} WHERE sh.id = ? AND sh.user_id = ?`, [shareId, userId]);
+  return rows[0] || null;
+}
+
+export async function listSharesForUser(userId, conn = db) {
+  const [rows] = await conn.query(
+    `${SHARE_SELECT} WHERE sh.user_id = ? ORDER BY sh.created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+export async function revokeShare(shareId, conn = db) {
+  await conn.query('UPDATE shares SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = ?', [shareId]);
+}
+
+export async function recordShareView(shareId, conn = db) {
+  await conn.query(
+    'UPDATE shares SET view_count = view_count + 1, last_viewed_at = NOW() WHERE id = ?',
+    [shareId]
+  );
+}
+
+export async function insertShareComment({ shareId, questionId, authorName, comment }, conn = db) {
+  const [result] = await conn.query(
+    'INSERT INTO share_comments (share_id, question_id, author_name, comment) VALUES (?, ?, ?, ?)',
+    [shareId, questionId, authorName, comment]
+  );
+  return result.insertId;
+}
+
+export async function listShareComments(shareId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM share_comments WHERE share_id = ? ORDER BY created_at',
+    [shareId]
+  );
+  return rows;
+}
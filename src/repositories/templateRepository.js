@@ -0,0 +1,51 @@
+import db from '../lib/dbConnect.js';
+
+// Built-in templates (user_id IS NULL) are visible to everyone; a user's own
+// templates only to them.
+export async function listTemplatesForUser(userId, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT * FROM interview_templates
+     WHERE user_id IS NULL OR user_id = ?
+     ORDER BY user_id IS NOT NULL, name`,
+    [userId]
+  );
+  return rows;
+}
+
+export async function findTemplateForUser(templateId, userId, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT * FROM interview_templates WHERE id = ? AND (user_id IS NULL OR user_id = ?)',
+    [templateId, userId]
+  );
+  return rows[0] || null;
+}
+
+// fields maps column names to values as produced by parseTemplateInput, with
+// the JSON columns still as objects.
+const JSON_COLUMNS = ['type_weights', 'difficulty_weights', 'focus_areas', 'rubric'];
+const toColumnValue = (column, value) =>
+  (JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value);
+
+export async function createTemplate(userId, fields, conn = db) {
+  const columns = Object.keys(fields);
+  const [result] = await conn.query(
+    `INSERT INTO interview_templates (user_id, ${columns.join(', ')})
+     VALUES (?, ${columns.map(() => '?').join(', ')})`,
+    [userId, ...columns.map(column => toColumnValue(column, fields[column]))]
+  );
+  return result.insertId;
+}
+
+export async function updateTemplateFields(templateId, fields, conn = db) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+
+  await conn.query(
+    `UPDATE interview_templates SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => toColumnValue(column, fields[column])), templateId]
+  );
+}
+
+export async function deleteTemplate(templateId, conn = db) {
+  await conn.query('DELETE FROM interview_templates WHERE id = ?', [templateId]);
+}
@@ -0,0 +1,159 @@
+import db from '../lib/dbConnect.js';
+
+// Every repository function takes an optional connection as its last
+// argument so it can take part in a withTransaction() unit of work.
+
+// Lockout and resend throttling compare against the database clock, so the
+// remaining seconds are computed in SQL rather than in Node.
+const USER_SELECT = `SELECT *,
+    TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS lockout_remaining,
+    TIMESTAMPDIFF(SECOND, verification_sent_at, NOW()) AS seconds_since_verification_sent
+  FROM users`;
+
+export async function findUserById(userId, conn = db) {
+  const [rows] = await conn.query(`${USER_SELECT} WHERE id = ?`, [userId]);
+  return rows[0] || null;
+}
+
+export async function findUserByEmail(email, conn = db) {
+  const [rows] = await conn.query(`${USER_SELECT} WHERE email = ?`, [email]);
+  return rows[0] || null;
+}
+
+export async function createUser({ email, passwordHash, verificationTokenHash, verificationExpireHours }, conn = db) {
+  const [result] = await conn.query(
+    `INSERT INTO users (email, password, verification_token, verification_expires_at, verification_sent_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())`,
+    [email, passwordHash, verificationTokenHash, verificationExpireHours]
+  );
+  return result.insertId;
+}
+
+export async function findUserByVerificationToken(tokenHash, conn = db) {
+  const [rows] = await conn.query(
+    'SELECT id, verification_expires_at < NOW() AS is_expired FROM users WHERE verification_token = ?',
+    [tokenHash]
+  );
+  return rows[0] || null;
+}
+
+export async function setVerificationToken(userId, tokenHash, expireHours, conn = db) {
+  await conn.query(
+    `UPDATE users SET verification_token = ?, verification_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR),
+        verification_sent_at = NOW()
+     WHERE id = ?`,
+    [tokenHash, expireHours, userId]
+  );
+}
+
+export async function markUserVerified(userId, conn = db) {
+  await conn.query(
+    'UPDATE users SET is_verified = TRUE, verification_token = NULL, verification_expires_at = NULL WHERE id = ?',
+    [userId]
+  );
+}
+
+// Changing the password also bumps token_version (revoking outstanding
+// access tokens) and clears any login lockout.
+export async function updatePassword(userId, passwordHash, conn = db) {
+  await conn.query(
+    `UPDATE users SET password = ?, token_version = token_version + 1,
+        failed_login_attempts = 0, locked_until = NULL
+     WHERE id = ?`,
+    [passwordHash, userId]
+  );
+}
+
+export async function incrementTokenVersion(userId, conn = db) {
+  await conn.query('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+}
+
+export async function recordFailedLogin(userId, failedAttempts, lockoutSeconds, conn = db) {
+  await conn.query(
+    `UPDATE users SET failed_login_attempts = ?,
+        locked_until = IF(? > 0, DATE_ADD(NOW(), INTERVAL ? SECOND), locked_until)
+     WHERE id = ?`,
+    [failedAttempts, lockoutSeconds, lockoutSeconds, userId]
+  );
+}
+
+export async function resetFailedLogins(userId, conn = db) {
+  await conn.query('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?', [userId]);
+}
+
+// `fields` maps column names to values; callers whitelist the columns.
+export async function updateUserFields(userId, fields, conn = db) {
+  const columns = Object.keys(fields);
+  if (columns.length === 0) return;
+
+  await conn.query(
+    `UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...Object.values(fields), userId]
+  );
+}
+
+export async function setUserDisabled(userId, disabled, conn = db) {
+  await conn.query(
+    'UPDATE users SET is_disabled = ?, disabled_at = IF(?, NOW(), NULL) WHERE id = ?',
+    [disabled, disabled, userId]
+  );
+}
+
+export async function deleteUser(userId, conn = db) {
+  await conn.query('DELETE FROM users WHERE id = ?', [userId]);
+}
+
+function buildUserFilter({ search, verified, disabled, role }) {
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push('(u.email LIKE ? OR u.name LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+  if (verified !== undefined) {
+    conditions.push('u.is_verified = ?');
+    params.push(verified);
+  }
+  if (disabled !== undefined) {
+    conditions.push('u.is_disabled = ?');
+    params.push(disabled);
+  }
+  if (role) {
+    conditions.push('u.role = ?');
+    params.push(role);
+  }
+
+  return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+export async function searchUsers(filters, { limit, offset }, conn = db) {
+  const { where, params } = buildUserFilter(filters);
+
+  const [[{ total }]] = await conn.query(`SELECT COUNT(*) AS total FROM users u ${where}`, params);
+  const [users] = await conn.query(
+    `SELECT u.*, COUNT(s.id) AS session_count
+     FROM users u
+     LEFT JOIN interview_sessions s ON s.user_id = u.id
+     ${where}
+     GROUP BY u.id
+     ORDER BY u.created_at DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  return { total, users };
+}
+
+export async function getUserTotals(periodDays, conn = db) {
+  const [[totals]] = await conn.query(
+    `SELECT
+      COUNT(*) AS total,
+      COALESCE(SUM(is_verified), 0) AS verified,
+      COALESCE(SUM(is_disabled), 0) AS disabled,
+      COALESCE(SUM(created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)), 0) AS new_in_period
+     FROM users`,
+    [periodDays]
+  );
+  return totals;
+}
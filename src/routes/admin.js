@@ -0,0 +1,348 @@
+import { Router } from 'express';
+import { withTransaction } from '../lib/dbConnect.js';
+import { revokeAllRefreshTokens } from '../lib/refreshTokens.js';
+import {
+  findUserById,
+  markUserVerified,
+  setUserDisabled,
+  updateUserFields,
+  searchUsers,
+  getUserTotals
+} from '../repositories/userRepository.js';
+import {
+  findSessionForUser,
+  listSessionsForUser,
+  getSessionTotals,
+  getSessionsPerDay,
+  getTopUsersBySessions
+} from '../repositories/sessionRepository.js';
+import { listQuestionsForSession, getQuestionTotals } from '../repositories/questionRepository.js';
+import { loadProgressStats, parseStatsWeeks } from '../lib/progressStats.js';
+
+const router = Router();
+
+const USER_ROLES = ['user', 'admin'];
+
+const formatAdminUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name || null,
+  role: user.role || 'user',
+  isVerified: Boolean(user.is_verified),
+  isDisabled: Boolean(user.is_disabled),
+  disabledAt: user.disabled_at || null,
+  failedLoginAttempts: user.failed_login_attempts || 0,
+  lockedUntil: user.locked_until || null,
+  createdAt: user.created_at,
+  ...(user.session_count !== undefined && { sessionCount: user.session_count })
+});
+
+const parseBooleanFilter = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+function sendUserNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'User not found',
+    code: 'USER_NOT_FOUND'
+  });
+}
+
+router.get('/users', async (req, res) => {
+  try {
+    const { search, verified, disabled, role } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const { total, users } = await searchUsers(
+      {
+        search: typeof search === 'string' ? search.trim() : '',
+        verified: parseBooleanFilter(verified),
+        disabled: parseBooleanFilter(disabled),
+        role: typeof role === 'string' ? role : undefined
+      },
+      { limit, offset: (page - 1) * limit }
+    );
+
+    return res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      users: users.map(formatAdminUser)
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list users',
+      details: error.message
+    });
+  }
+});
+
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    return res.json({ success: true, user: formatAdminUser(user) });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user',
+      details: error.message
+    });
+  }
+});
+
+router.post('/users/:userId/verify', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    await markUserVerified(user.id);
+
+    return res.json({
+      success: true,
+      message: 'User verified successfully',
+      user: formatAdminUser(await findUserById(user.id))
+    });
+  } catch (error) {
+    console.error('Error verifying user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify user',
+      details: error.message
+    });
+  }
+});
+
+router.post('/users/:userId/disable', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot disable your own account',
+        code: 'CANNOT_DISABLE_SELF'
+      });
+    }
+
+    await withTransaction(async (conn) => {
+      await setUserDisabled(user.id, true, conn);
+      await revokeAllRefreshTokens(user.id, conn);
+    });
+
+    return res.json({
+      success: true,
+      message: 'User disabled successfully',
+      user: formatAdminUser(await findUserById(user.id))
+    });
+  } catch (error) {
+    console.error('Error disabling user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to disable user',
+      details: error.message
+    });
+  }
+});
+
+router.post('/users/:userId/enable', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    await setUserDisabled(user.id, false);
+
+    return res.json({
+      success: true,
+      message: 'User enabled successfully',
+      user: formatAdminUser(await findUserById(user.id))
+    });
+  } catch (error) {
+    console.error('Error enabling user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to enable user',
+      details: error.message
+    });
+  }
+});
+
+router.patch('/users/:userId/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    if (user.id === req.user.id && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your own admin role',
+        code: 'CANNOT_DEMOTE_SELF'
+      });
+    }
+
+    await updateUserFields(user.id, { role });
+
+    return res.json({
+      success: true,
+      message: 'User role updated successfully',
+      user: formatAdminUser(await findUserById(user.id))
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update user role',
+      details: error.message
+    });
+  }
+});
+
+router.get('/users/:userId/sessions', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    const sessions = await listSessionsForUser(user.id);
+
+    return res.json({
+      success: true,
+      userId: user.id,
+      sessions
+    });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions',
+      details: error.message
+    });
+  }
+});
+
+// The same progress report a user sees at /api/stats, for the dashboard.
+router.get('/users/:userId/stats', async (req, res) => {
+  try {
+    const user = await findUserById(req.params.userId);
+    if (!user) return sendUserNotFound(res);
+
+    const stats = await loadProgressStats(user.id, parseStatsWeeks(req.query.weeks));
+
+    return res.json({
+      success: true,
+      userId: user.id,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error fetching user stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch progress statistics',
+      details: error.message
+    });
+  }
+});
+
+router.get('/users/:userId/sessions/:sessionId/questions', async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+
+    const session = await findSessionForUser(sessionId, userId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found for this user',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const questions = await listQuestionsForSession(sessionId);
+
+    return res.json({
+      success: true,
+      sessionId: parseInt(sessionId),
+      questions: questions.map(q => ({
+        id: q.id,
+        question: q.question_text,
+        type: q.question_type,
+        difficulty: q.difficulty_level,
+        order: q.order_index,
+        isAnswered: q.is_answered,
+        answer: q.suggested_answer
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching session questions:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch questions',
+      details: error.message
+    });
+  }
+});
+
+router.get('/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    const [users, sessions, questions, sessionsPerDay, topUsers] = await Promise.all([
+      getUserTotals(days),
+      getSessionTotals(days),
+      getQuestionTotals(),
+      getSessionsPerDay(days),
+      getTopUsersBySessions(days, 10)
+    ]);
+
+    return res.json({
+      success: true,
+      periodDays: days,
+      users: {
+        total: Number(users.total),
+        verified: Number(users.verified),
+        disabled: Number(users.disabled),
+        newInPeriod: Number(users.new_in_period)
+      },
+      sessions: {
+        total: Number(sessions.total),
+        withJobDescription: Number(sessions.with_job_description),
+        inPeriod: Number(sessions.in_period)
+      },
+      questions: {
+        total: Number(questions.total),
+        answered: Number(questions.answered)
+      },
+      sessionsPerDay: sessionsPerDay.map(row => ({
+        day: row.day,
+        sessions: Number(row.sessions),
+        activeUsers: Number(row.active_users)
+      })),
+      topUsers: topUsers.map(row => ({
+        id: row.id,
+        email: row.email,
+        sessionCount: Number(row.session_count)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch usage statistics',
+      details: error.message
+    });
+  }
+});
+
+export default router;
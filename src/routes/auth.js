@@ -1,52 +1,124 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
-import db from '../lib/dbConnect.js';
+import { withTransaction } from '../lib/dbConnect.js';
 import { Router } from 'express';
 import dotenv from 'dotenv';
+import { generateRandomToken, hashToken } from '../lib/tokens.js';
+import { sendTemplatedEmail } from '../lib/mail/index.js';
+import {
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllRefreshTokens
+} from '../lib/refreshTokens.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+    findUserById,
+    findUserByEmail,
+    createUser,
+    findUserByVerificationToken,
+    setVerificationToken,
+    markUserVerified,
+    updatePassword,
+    incrementTokenVersion,
+    recordFailedLogin as saveFailedLogin,
+    resetFailedLogins,
+    updateUserFields,
+    deleteUser
+} from '../repositories/userRepository.js';
+import { deleteAllSessionsForUser } from '../repositories/sessionRepository.js';
+import {
+    createPasswordResetToken,
+    findActivePasswordResetToken,
+    markPasswordResetTokenUsed,
+    invalidatePasswordResetTokens,
+    deletePasswordResetTokensForUser,
+    getSecondsSinceLastPasswordReset
+} from '../repositories/passwordResetRepository.js';
+import { deleteRefreshTokensForUser } from '../repositories/refreshTokenRepository.js';
+import {
+    loginLimiter,
+    registerLimiter,
+    forgotPasswordLimiter,
+    resendVerificationLimiter,
+    sendTooManyRequests
+} from '../middleware/rateLimit.js';
 
 dotenv.config();
 const router = Router();
 
 const API_URL = process.env.API_URL
+const CLIENT_URL = process.env.CLIENT_URL || API_URL;
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const VERIFICATION_EXPIRE_HOURS = parseInt(process.env.VERIFICATION_EXPIRE_HOURS, 10) || 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 60;
+const PASSWORD_RESET_COOLDOWN_SECONDS = parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS, 10) || 60;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOGIN_LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 3600;
 
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-    }
-});
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
 
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE
+const generateToken = (user) => {
+    return jwt.sign({ userId: user.id, tokenVersion: user.token_version || 0 }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRE
     });
 };
 
 const generateVerificationToken = () => {
-    return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+    return generateRandomToken();
 };
 
 const sendVerificationEmail = async (email, token) => {
-    const verificationUrl = `${API_URL}/api/auth/verify-email?token=${token}`;
-    
-    const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: 'Verify Your Email',
-        html: `
-            <h1>Email Verification</h1>
-            <p>Click the link below to verify your email:</p>
-            <a href="${verificationUrl}">Verify Email</a>
-        `
-    };
-    
-    await transporter.sendMail(mailOptions);
+    await sendTemplatedEmail(email, 'verification', {
+        verificationUrl: `${API_URL}/api/auth/verify-email?token=${token}`,
+        expiresInHours: VERIFICATION_EXPIRE_HOURS
+    });
+};
+
+const sendPasswordResetEmail = async (email, token) => {
+    await sendTemplatedEmail(email, 'passwordReset', {
+        resetUrl: `${CLIENT_URL}/reset-password?token=${token}`,
+        expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES
+    });
+};
+
+const PROFILE_FIELDS = {
+    name: { column: 'name', maxLength: 100 },
+    targetRole: { column: 'target_role', maxLength: 150 },
+    location: { column: 'location', maxLength: 150 }
+};
+
+const formatUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name || null,
+    targetRole: user.target_role || null,
+    location: user.location || null,
+    role: user.role || 'user',
+    isVerified: Boolean(user.is_verified),
+    createdAt: user.created_at
+});
+
+// Once an account reaches the failure threshold, each further failure doubles
+// the lockout (60s, 120s, 240s, ...) up to LOGIN_LOCKOUT_MAX_SECONDS.
+const getLockoutSeconds = (failedAttempts) => {
+    if (failedAttempts < LOGIN_LOCKOUT_THRESHOLD) return 0;
+    const exponent = Math.min(failedAttempts - LOGIN_LOCKOUT_THRESHOLD, 20);
+    return Math.min(LOGIN_LOCKOUT_BASE_SECONDS * 2 ** exponent, LOGIN_LOCKOUT_MAX_SECONDS);
 };
 
-router.post('/register', async (req, res) => {
+const recordFailedLogin = async (user) => {
+    const failedAttempts = (user.failed_login_attempts || 0) + 1;
+    const lockoutSeconds = getLockoutSeconds(failedAttempts);
+
+    await saveFailedLogin(user.id, failedAttempts, lockoutSeconds);
+
+    return lockoutSeconds;
+};
+
+router.post('/register', registerLimiter, async (req, res) => {
     try {
         const {  email, password } = req.body;
         
@@ -54,51 +126,45 @@ router.post('/register', async (req, res) => {
             return res.status(400).json({ error: 'All fields are required' });
         }
         
-        db.query('SELECT * FROM users WHERE email = ?', [email], async (err, results) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-            
-            if (results.length > 0) {
-                return res.status(400).json({ error: 'User already exists' });
-            }
-            
-            try {
-                const saltRounds = 10;
-                const hashedPassword = await bcrypt.hash(password, saltRounds);
-                
-                const verificationToken = generateVerificationToken();
-                
-                db.query(
-                    'INSERT INTO users ( email, password, verification_token) VALUES ( ?, ?, ?)',
-                    [ email, hashedPassword, verificationToken],
-                    async (err, result) => {
-                        if (err) {
-                            return res.status(500).json({ error: 'Failed to create user' });
-                        }
-                        
-                        try {
-                            await sendVerificationEmail(email, verificationToken);
-                        } catch (emailErr) {
-                            console.error('Email sending failed:', emailErr);
-                        }
-                        
-                        res.status(201).json({
-                            message: 'User registered successfully. Please check your email to verify your account.',
-                            userId: result.insertId
-                        });
-                    }
-                );
-            } catch (hashError) {
-                return res.status(500).json({ error: 'Password hashing failed' });
-            }
+        const existingUser = await findUserByEmail(email);
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+        
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        
+        const verificationToken = generateVerificationToken();
+        
+        const userId = await createUser({
+            email,
+            passwordHash: hashedPassword,
+            verificationTokenHash: hashToken(verificationToken),
+            verificationExpireHours: VERIFICATION_EXPIRE_HOURS
+        });
+        
+        let verificationEmailSent = true;
+        try {
+            await sendVerificationEmail(email, verificationToken);
+        } catch (emailErr) {
+            console.error('Email sending failed:', emailErr);
+            verificationEmailSent = false;
+        }
+        
+        res.status(201).json({
+            message: verificationEmailSent
+                ? 'User registered successfully. Please check your email to verify your account.'
+                : 'User registered successfully, but the verification email could not be sent. Please request a new verification email.',
+            userId,
+            verificationEmailSent
         });
     } catch (error) {
+        console.error('Registration error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
         
@@ -106,73 +172,401 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Email and password are required' });
         }
         
-        db.query('SELECT * FROM users WHERE email = ?', [email], async (err, results) => {
-            if (err) {
-                return res.status(500).json({ error: 'Database error' });
-            }
-            
-            if (results.length === 0) {
-                return res.status(400).json({ error: 'Invalid credentials' });
-            }
-            
-            const user = results[0];
-            
-            if (!user.is_verified) {
-                return res.status(400).json({ error: 'Please verify your email first' });
-            }
-            
-            const isPasswordValid = await bcrypt.compare(password, user.password);
-            
-            if (!isPasswordValid) {
-                return res.status(400).json({ error: 'Invalid credentials' });
-            }
-            
-            const token = generateToken(user.id);
-            
-            res.json({
-                message: 'Login successful',
-                token,
-                user: {
-                    id: user.id,
-                    email: user.email
-                }
+        const user = await findUserByEmail(email);
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.lockout_remaining > 0) {
+            return sendTooManyRequests(
+                res,
+                user.lockout_remaining,
+                'Too many failed login attempts. Please try again later.',
+                'ACCOUNT_LOCKED'
+            );
+        }
+        
+        if (!user.is_verified) {
+            return res.status(400).json({ error: 'Please verify your email first' });
+        }
+
+        if (user.is_disabled) {
+            return res.status(403).json({
+                error: 'Your account has been disabled. Please contact support.',
+                code: 'ACCOUNT_DISABLED'
             });
+        }
+        
+        const isPasswordValid = await bcrypt.compare(password, user.password);
+        
+        if (!isPasswordValid) {
+            const lockoutSeconds = await recordFailedLogin(user);
+            if (lockoutSeconds > 0) {
+                return sendTooManyRequests(
+                    res,
+                    lockoutSeconds,
+                    'Too many failed login attempts. Please try again later.',
+                    'ACCOUNT_LOCKED'
+                );
+            }
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.failed_login_attempts > 0) {
+            await resetFailedLogins(user.id);
+        }
+
+        const { token: refreshToken } = await issueRefreshToken(user.id);
+        const token = generateToken(user);
+        
+        res.json({
+            message: 'Login successful',
+            token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_EXPIRE,
+            user: formatUser(user)
         });
     } catch (error) {
+        console.error('Login error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-router.get('/verify-email', (req, res) => {
+router.get('/verify-email', async (req, res) => {
     const { token } = req.query;
     
     if (!token) {
         return res.status(400).json({ error: 'Verification token required' });
     }
     
-    db.query('SELECT * FROM users WHERE verification_token = ?', [token], (err, results) => {
-        if (err) {
-            return res.status(500).json({ error: 'Database error' });
+    try {
+        const user = await findUserByVerificationToken(hashToken(token));
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid verification token', code: 'INVALID_VERIFICATION_TOKEN' });
         }
-        
-        if (results.length === 0) {
-            return res.status(400).json({ error: 'Invalid verification token' });
+
+        if (user.is_expired) {
+            return res.status(400).json({
+                error: 'This verification link has expired. Please request a new verification email.',
+                code: 'VERIFICATION_TOKEN_EXPIRED'
+            });
         }
-        
-        db.query(
-            'UPDATE users SET is_verified = TRUE, verification_token = NULL WHERE verification_token = ?',
-            [token],
-            (err) => {
-                if (err) {
-                    return res.status(500).json({ error: 'Failed to verify email' });
-                }
-                
-                res.json({ message: 'Email verified successfully' });
-            }
-        );
-    });
+
+        await markUserVerified(user.id);
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+router.post('/resend-verification', resendVerificationLimiter, async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const genericResponse = {
+        message: 'If an unverified account exists for this email, a new verification link has been sent.'
+    };
+
+    try {
+        const user = await findUserByEmail(email);
+
+        if (!user || user.is_verified) {
+            return res.json(genericResponse);
+        }
+
+        const secondsSinceSent = user.seconds_since_verification_sent;
+        if (secondsSinceSent !== null && secondsSinceSent < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+            const retryAfter = VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceSent;
+            return sendTooManyRequests(
+                res,
+                retryAfter,
+                `Please wait ${retryAfter} seconds before requesting another verification email.`,
+                'VERIFICATION_RESEND_THROTTLED'
+            );
+        }
+
+        // Issuing a new token replaces the previous one, so older links stop working.
+        const verificationToken = generateVerificationToken();
+        await setVerificationToken(user.id, hashToken(verificationToken), VERIFICATION_EXPIRE_HOURS);
+
+        try {
+            await sendVerificationEmail(user.email, verificationToken);
+        } catch (emailErr) {
+            console.error('Verification email failed:', emailErr);
+            return res.status(502).json({ error: 'Failed to send verification email. Please try again later.' });
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists, so this endpoint
+    // cannot be used to discover registered emails.
+    const genericResponse = {
+        message: 'If an account exists for this email, a password reset link has been sent.'
+    };
+
+    try {
+        const user = await findUserByEmail(email);
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        // Within the cooldown the existing link stays valid and no email is
+        // sent; the response is unchanged so it reveals nothing.
+        const secondsSinceSent = await getSecondsSinceLastPasswordReset(user.id);
+        if (secondsSinceSent !== null && secondsSinceSent < PASSWORD_RESET_COOLDOWN_SECONDS) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = generateRandomToken();
+
+        await withTransaction(async (conn) => {
+            await invalidatePasswordResetTokens(user.id, conn);
+            await createPasswordResetToken(user.id, hashToken(resetToken), PASSWORD_RESET_EXPIRE_MINUTES, conn);
+        });
+
+        try {
+            await sendPasswordResetEmail(user.email, resetToken);
+        } catch (emailErr) {
+            console.error('Password reset email failed:', emailErr);
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/reset-password', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    try {
+        const resetToken = await findActivePasswordResetToken(hashToken(token));
+
+        if (!resetToken) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const claimed = await withTransaction(async (conn) => {
+            // Claim the token first so two concurrent requests cannot both use it.
+            if (!(await markPasswordResetTokenUsed(resetToken.id, conn))) return false;
+
+            await updatePassword(resetToken.user_id, hashedPassword, conn);
+            await invalidatePasswordResetTokens(resetToken.user_id, conn);
+            await revokeAllRefreshTokens(resetToken.user_id, conn);
+            return true;
+        });
+
+        if (!claimed) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        const rotated = await rotateRefreshToken(refreshToken);
+        if (rotated.error) {
+            return res.status(401).json({
+                error: rotated.error === 'REFRESH_TOKEN_REUSED'
+                    ? 'Refresh token has already been used. Please log in again.'
+                    : 'Invalid or expired refresh token',
+                code: rotated.error
+            });
+        }
+
+        const user = await findUserById(rotated.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        if (user.is_disabled) {
+            await revokeAllRefreshTokens(user.id);
+            return res.status(403).json({
+                error: 'Your account has been disabled. Please contact support.',
+                code: 'ACCOUNT_DISABLED'
+            });
+        }
+
+        res.json({
+            token: generateToken(user),
+            refreshToken: rotated.token,
+            expiresIn: ACCESS_TOKEN_EXPIRE
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        await revokeRefreshToken(refreshToken);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/logout-all', authenticate, async (req, res) => {
+    try {
+        await withTransaction(async (conn) => {
+            await revokeAllRefreshTokens(req.user.id, conn);
+            // Bumping token_version also rejects access tokens that are still live.
+            await incrementTokenVersion(req.user.id, conn);
+        });
+
+        res.json({ message: 'Logged out from all devices' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.get('/me', authenticate, (req, res) => {
+    res.json({ user: formatUser(req.user) });
+});
+
+router.patch('/me', authenticate, async (req, res) => {
+    const updates = {};
+
+    for (const [field, { column, maxLength }] of Object.entries(PROFILE_FIELDS)) {
+        if (!(field in req.body)) continue;
+
+        let value = req.body[field];
+        if (value !== null && typeof value !== 'string') {
+            return res.status(400).json({ error: `${field} must be a string or null` });
+        }
+
+        value = value === null ? null : value.trim() || null;
+        if (value && value.length > maxLength) {
+            return res.status(400).json({ error: `${field} must be at most ${maxLength} characters` });
+        }
+
+        updates[column] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+            error: `Provide at least one of: ${Object.keys(PROFILE_FIELDS).join(', ')}`
+        });
+    }
+
+    try {
+        await updateUserFields(req.user.id, updates);
+        const user = await findUserById(req.user.id);
+
+        res.json({ message: 'Profile updated successfully', user: formatUser(user) });
+    } catch (error) {
+        console.error('Profile update error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.post('/change-password', authenticate, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    try {
+        const isPasswordValid = await bcrypt.compare(currentPassword, req.user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await withTransaction(async (conn) => {
+            await updatePassword(req.user.id, hashedPassword, conn);
+            await revokeAllRefreshTokens(req.user.id, conn);
+        });
+
+        // Every other device is now logged out; hand this one fresh tokens.
+        const user = await findUserById(req.user.id);
+        const { token: refreshToken } = await issueRefreshToken(req.user.id);
+
+        res.json({
+            message: 'Password changed successfully',
+            token: generateToken(user),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_EXPIRE
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+router.delete('/me', authenticate, async (req, res) => {
+    const { password } = req.body;
+
+    if (!password) {
+        return res.status(400).json({ error: 'Password is required to delete your account' });
+    }
+
+    try {
+        const isPasswordValid = await bcrypt.compare(password, req.user.password);
+        if (!isPasswordValid) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+
+        const deletedSessions = await withTransaction(async (conn) => {
+            const sessionCount = await deleteAllSessionsForUser(req.user.id, conn);
+            await deleteRefreshTokensForUser(req.user.id, conn);
+            await deletePasswordResetTokensForUser(req.user.id, conn);
+            await deleteUser(req.user.id, conn);
+            return sessionCount;
+        });
+
+        res.json({ message: 'Account deleted successfully', deletedSessions });
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
 
 export default router;
\ No newline at end of file
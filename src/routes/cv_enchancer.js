@@ -2,6 +2,12 @@ import express from 'express';
 import { Router } from 'express';
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from 'dotenv';
+import { aiLimiter } from '../middleware/rateLimit.js';
+import {
+  createCvAnalysis,
+  findCvAnalysisForUser,
+  listCvAnalysesForUser
+} from '../repositories/cvAnalysisRepository.js';
 
 dotenv.config();
 
@@ -9,7 +15,7 @@ const router = Router();
 
 const genAI = new GoogleGenerativeAI(process.env.GEMENI_API_KEY);
 
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', aiLimiter, async (req, res) => {
   try {
     const { cvText } = req.body;
 
@@ -54,11 +60,13 @@ router.post('/analyze', async (req, res) => {
     const analysisText = result.response.text();
 
     let analysis;
+    let partial = false;
     try {
       const cleanedText = analysisText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
       analysis = JSON.parse(cleanedText);
     } catch (parseError) {
       console.error('JSON parsing error:', parseError);
+      partial = true;
       analysis = {
         overallGrade: "C",
         score: 75,
@@ -76,8 +84,15 @@ router.post('/analyze', async (req, res) => {
       };
     }
 
+    // Kept so it can be shared with a reviewer and compared over time. The
+    // placeholder used when the model's output could not be parsed is not a
+    // real grade, so it is returned marked as partial but never saved.
+    const analysisId = partial ? null : await createCvAnalysis({ userId: req.user.id, cvText, analysis });
+
     res.json({
       success: true,
+      analysisId,
+      partial,
       analysis: analysis
     });
 
@@ -90,7 +105,58 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
-router.post('/enhance', async (req, res) => {
+router.get('/analyses', async (req, res) => {
+  try {
+    const analyses = await listCvAnalysesForUser(req.user.id);
+
+    res.json({
+      success: true,
+      analyses: analyses.map(row => ({
+        id: row.id,
+        overallGrade: row.overall_grade,
+        score: row.score,
+        createdAt: row.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('CV analyses fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch CV analyses: ' + error.message
+    });
+  }
+});
+
+router.get('/analyses/:analysisId', async (req, res) => {
+  try {
+    const row = await findCvAnalysisForUser(req.params.analysisId, req.user.id);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        message: 'CV analysis not found',
+        code: 'ANALYSIS_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      analysisId: row.id,
+      cvText: row.cv_text,
+      analysis: typeof row.analysis === 'string' ? JSON.parse(row.analysis) : row.analysis,
+      createdAt: row.created_at
+    });
+
+  } catch (error) {
+    console.error('CV analysis fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch CV analysis: ' + error.message
+    });
+  }
+});
+
+router.post('/enhance', aiLimiter, async (req, res) => {
   try {
     const { originalCv, selectedErrors } = req.body;
 
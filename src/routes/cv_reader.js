@@ -1,38 +1,171 @@
-import db from '../lib/dbConnect.js';
+import { withTransaction } from '../lib/dbConnect.js';
+import {
+  createSession,
+  findSessionForUser,
+  lockSession,
+  listSessionsForUser,
+  deleteSessionForUser
+} from '../repositories/sessionRepository.js';
+import {
+  insertQuestions,
+  insertQuestion,
+  listQuestionsForSession,
+  findQuestionForUser,
+  updateQuestionFields,
+  deleteQuestion,
+  shiftQuestionOrder,
+  setQuestionOrder
+} from '../repositories/questionRepository.js';
+import {
+  listAnswersForQuestion,
+  listAnswersForSession,
+  deleteAnswersForQuestion,
+  listLatestGradedAnswersForSession
+} from '../repositories/answerRepository.js';
+import { saveSessionReport, findSessionReport } from '../repositories/reportRepository.js';
+import { deleteReviewItemForQuestion } from '../repositories/reviewRepository.js';
+import { ai, DEFAULT_MODEL } from '../lib/ai.js';
+import { openEventStream } from '../lib/sse.js';
+import { submitAnswer, formatAnswer, MAX_ANSWER_LENGTH } from '../lib/answers.js';
+import { buildSessionReport } from '../lib/sessionReport.js';
+import { renderSessionPdf, PDF_GROUP_BY } from '../lib/sessionPdf.js';
+import {
+  SESSION_ACTIONS,
+  TIMING_ERRORS,
+  describeTiming,
+  parseTimeLimits,
+  changeSessionStatus,
+  focusQuestion,
+  checkAnswerTiming,
+  checkSessionTiming,
+  getSessionTiming
+} from '../lib/sessionLifecycle.js';
+import {
+  normalizeGenerationOptions,
+  createInterviewPrompt,
+  parseQuestionsFromAI,
+  createQuestionStreamParser,
+  getFallbackQuestions,
+  MAX_QUESTIONS
+} from '../lib/questionGeneration.js';
+import { parseQuestionFields, generateReplacementQuestion } from '../lib/questionEditing.js';
+import { findTemplateForUser } from '../repositories/templateRepository.js';
+import { toGenerationTemplate } from '../lib/interviewTemplates.js';
+import {
+  insertChatMessage,
+  listChatMessages,
+  saveChatEvaluation,
+  findChatEvaluation
+} from '../repositories/chatRepository.js';
+import {
+  MAX_CHAT_MESSAGE_LENGTH,
+  normalizeChatOptions,
+  formatChatMessage,
+  describeChat,
+  generateInterviewerReply,
+  evaluateChat
+} from '../lib/chatInterview.js';
+import {
+  PROMPT_AVOID_LIMIT,
+  loadQuestionHistory,
+  findRepeats,
+  replaceRepeats,
+  rememberQuestions
+} from '../lib/questionHistory.js';
+import {
+  normalizeAdaptiveOptions,
+  planNextStep,
+  generateNextQuestion,
+  buildThread
+} from '../lib/adaptiveInterview.js';
 import { Router } from 'express';
-import { GoogleGenAI } from "@google/genai";
 import dotenv from 'dotenv';
+import { aiLimiter } from '../middleware/rateLimit.js';
+import { audioUpload } from '../middleware/audioUpload.js';
+import { synthesizeSpeech, transcribeAudio } from '../lib/speech/index.js';
 
 dotenv.config();
 
 const router = Router();
-const ai = new GoogleGenAI({ apiKey: process.env.GEMENI_API_KEY });
 
-async function getUserByEmail(email) {
-  return new Promise((resolve, reject) => {
-    db.query('SELECT * FROM users WHERE email = ?', [email], (err, results) => {
-      if (err) reject(err);
-      resolve(results[0] || null);
-    });
-  });
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// The language a session's questions were generated in, for speech.
+async function findSessionLanguage(sessionId, userId) {
+  const session = await findSessionForUser(sessionId, userId);
+  return parseJsonColumn(session?.generation_options)?.language || null;
+}
+
+// Resolves the optional templateId of a generation request to the template
+// it names: { template }, with null when none was given, or { notFound }.
+async function findGenerationTemplate(templateId, userId) {
+  if (templateId === undefined || templateId === null) return { template: null };
+  const template = await findTemplateForUser(templateId, userId);
+  return template ? { template: toGenerationTemplate(template) } : { notFound: true };
 }
 
-router.post('/generate-questions', async (req, res) => {
+const sendTemplateNotFound = (res) => res.status(404).json({ 
+  success: false,
+  error: 'Template not found',
+  code: 'TEMPLATE_NOT_FOUND'
+});
+
+const sessionTitleFor = (options, defaultTitle = 'Interview Session') =>
+  `${options.template ? options.template.name : defaultTitle} - ${new Date().toLocaleDateString()}`;
+
+const sendTimingError = (res, code, extra = {}) => res.status(TIMING_ERRORS[code].status).json({ 
+  success: false,
+  error: TIMING_ERRORS[code].error,
+  code,
+  ...extra
+});
+
+const formatQuestion = (q, showAnswers) => ({
+  id: q.id,
+  question: q.question_text,
+  type: q.question_type,
+  difficulty: q.difficulty_level,
+  order: q.order_index,
+  isAnswered: q.is_answered,
+  ...(showAnswers && { answer: q.suggested_answer })
+});
+
+const formatAdaptiveQuestion = (q) => ({
+  id: q.id,
+  question: q.question_text,
+  type: q.question_type,
+  difficulty: q.difficulty_level,
+  order: q.order_index,
+  isFollowUp: Boolean(q.is_follow_up),
+  parentQuestionId: q.parent_question_id
+});
+
+router.post('/generate-questions', aiLimiter, async (req, res) => {
   try {
-    const { email, cv, jobDescription = null } = req.body;
+    const { cv, jobDescription = null, templateId, options: requestedOptions } = req.body;
+    const user = req.user;
 
-    if (!email || !cv) {
+    if (!cv) {
       return res.status(400).json({ 
-        error: 'Email and CV are required fields' 
+        error: 'CV is a required field' 
       });
     }
 
-    const user = await getUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({ 
+    const { template, notFound } = await findGenerationTemplate(templateId, user.id);
+    if (notFound) {
+      return sendTemplateNotFound(res);
+    }
+
+    const { options, errors } = normalizeGenerationOptions(requestedOptions, {
+      hasJobDescription: Boolean(jobDescription),
+      template
+    });
+    if (errors) {
+      return res.status(400).json({ 
         success: false,
-        error: 'User not found. Please contact support to create an account.',
-        code: 'USER_NOT_FOUND'
+        error: 'Invalid generation options',
+        code: 'INVALID_OPTIONS',
+        errors
       });
     }
 
@@ -45,36 +178,60 @@ router.post('/generate-questions', async (req, res) => {
     }
 
     const sessionType = jobDescription ? 'cv_with_job' : 'cv_only';
-    const sessionTitle = `Interview Session - ${new Date().toLocaleDateString()}`;
-    
-    const sessionId = await createInterviewSession(
-      user.id, 
-      sessionTitle, 
-      cv, 
-      jobDescription, 
-      sessionType
-    );
+    const sessionTitle = sessionTitleFor(options);
+
+    // Unless repeats are allowed, the model is told what the user has already
+    // practised and anything it repeats anyway is swapped out.
+    const history = options.allowRepeats ? [] : await loadQuestionHistory(user.id);
+    const avoidQuestions = history.slice(0, PROMPT_AVOID_LIMIT).map(entry => entry.text);
 
-    const prompt = createInterviewPrompt(cv, jobDescription);
+    const prompt = createInterviewPrompt(cv, jobDescription, options, { avoidQuestions });
 
     const response = await ai.models.generateContent({
-      model: "gemini-2.0-flash",
+      model: DEFAULT_MODEL,
       contents: prompt,
     });
 
     console.log('AI Response:', response.text); 
 
-    const questions = parseQuestionsFromAI(response.text);
+    let questions = parseQuestionsFromAI(response.text, options.totalQuestions);
     console.log('Parsed Questions:', questions.length); 
-    await saveQuestionsToDatabase(sessionId, questions);
 
-    const savedQuestions = await getQuestionsBySessionId(sessionId);
+    const repeats = { detected: 0, replaced: 0 };
+    if (!options.allowRepeats) {
+      const { fresh, repeats: repeated } = findRepeats(questions, history);
+      const replacements = await replaceRepeats(cv, jobDescription, options, repeated, history, [
+        ...questions.map(q => q.question_text),
+        ...avoidQuestions
+      ]);
+      repeats.detected = repeated.length;
+      repeats.replaced = replacements.length;
+      questions = [...fresh, ...replacements].map((q, index) => ({ ...q, order_index: index + 1 }));
+    }
+
+    // The session only exists once its questions are stored with it.
+    const { sessionId, savedQuestions } = await withTransaction(async (conn) => {
+      const sessionId = await createSession({
+        userId: user.id,
+        title: sessionTitle,
+        cvText: cv,
+        jobDescription,
+        sessionType,
+        generationOptions: options
+      }, conn);
+      await insertQuestions(sessionId, questions, conn);
+      await rememberQuestions(user.id, questions, conn);
+      const savedQuestions = await listQuestionsForSession(sessionId, conn);
+      return { sessionId, savedQuestions };
+    });
 
     return res.json({
       success: true,
       sessionId: sessionId,
       userId: user.id,
       sessionType: sessionType,
+      options,
+      repeats,
       totalQuestions: savedQuestions.length,
       questions: savedQuestions.map(q => ({
         id: q.id,
@@ -94,22 +251,205 @@ router.post('/generate-questions', async (req, res) => {
   }
 });
 
+// Streaming variant of /generate-questions. The session is created up front
+// and each question is stored and sent as soon as it has been parsed from the
+// model's output, as Server-Sent Events:
+//
+//   session   { sessionId, sessionType, options, totalQuestions }
+//   question  one formatted question
+//   progress  { generated, total, repeatsSkipped }
+//   error     { error, code, details } - questions sent so far are kept
+//   done      { sessionId, totalQuestions, complete, repeats }
+//
+// If no question was stored (generation failed or the client went away) the
+// session is deleted and done carries sessionId: null.
+router.post('/generate-questions/stream', aiLimiter, async (req, res) => {
+  const { cv, jobDescription = null, templateId, options: requestedOptions } = req.body;
+  const user = req.user;
+
+  if (!cv) {
+    return res.status(400).json({ 
+      error: 'CV is a required field' 
+    });
+  }
+
+  let template;
+  try {
+    const found = await findGenerationTemplate(templateId, user.id);
+    if (found.notFound) {
+      return sendTemplateNotFound(res);
+    }
+    template = found.template;
+  } catch (error) {
+    console.error('Error loading template:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to generate interview questions',
+      details: error.message 
+    });
+  }
+
+  const { options, errors } = normalizeGenerationOptions(requestedOptions, {
+    hasJobDescription: Boolean(jobDescription),
+    template
+  });
+  if (errors) {
+    return res.status(400).json({ 
+      success: false,
+      error: 'Invalid generation options',
+      code: 'INVALID_OPTIONS',
+      errors
+    });
+  }
+
+  if (!user.is_verified) {
+    return res.status(403).json({ 
+      success: false,
+      error: 'Your email is not verified. Please contact support for account verification.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  const sessionType = jobDescription ? 'cv_with_job' : 'cv_only';
+
+  let sessionId;
+  let history;
+  try {
+    history = options.allowRepeats ? [] : await loadQuestionHistory(user.id);
+    sessionId = await createSession({
+      userId: user.id,
+      title: sessionTitleFor(options),
+      cvText: cv,
+      jobDescription,
+      sessionType,
+      generationOptions: options
+    });
+  } catch (error) {
+    console.error('Error creating session:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to generate interview questions',
+      details: error.message 
+    });
+  }
+
+  const events = openEventStream(res);
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+    events.close();
+  });
+
+  events.send('session', { sessionId, sessionType, options, totalQuestions: options.totalQuestions });
+
+  const avoidQuestions = history.slice(0, PROMPT_AVOID_LIMIT).map(entry => entry.text);
+  const skipped = [];
+  let saved = 0;
+  const keptSessionId = () => (saved > 0 ? sessionId : null);
+  // Replacements have already been checked against history (and added to it).
+  const saveQuestion = async (question, { checked = false } = {}) => {
+    if (!checked && !options.allowRepeats && findRepeats([question], history).repeats.length > 0) {
+      skipped.push(question);
+      return;
+    }
+
+    const id = await insertQuestion(sessionId, { ...question, order_index: saved + 1 });
+    await rememberQuestions(user.id, [question]);
+    saved += 1;
+    events.send('question', {
+      id,
+      question: question.question_text,
+      type: question.question_type,
+      difficulty: question.difficulty_level,
+      order: saved
+    });
+    events.send('progress', { generated: saved, total: options.totalQuestions, repeatsSkipped: skipped.length });
+  };
+
+  try {
+    const stream = await ai.models.generateContentStream({
+      model: DEFAULT_MODEL,
+      contents: createInterviewPrompt(cv, jobDescription, options, { avoidQuestions })
+    });
+
+    const parser = createQuestionStreamParser();
+    for await (const chunk of stream) {
+      // Stop paying for tokens nobody will read; what was stored stays.
+      if (clientGone) break;
+
+      for (const question of parser.push(chunk.text || '')) {
+        if (saved < options.totalQuestions) {
+          await saveQuestion(question);
+        }
+      }
+      if (saved >= options.totalQuestions) break;
+    }
+
+    // Same behaviour as the blocking endpoint when nothing usable came back.
+    if (saved === 0 && skipped.length === 0 && !clientGone) {
+      for (const question of getFallbackQuestions(options.totalQuestions)) {
+        await saveQuestion(question);
+      }
+    }
+
+    // Top up with stand-ins for repeats that were skipped along the way.
+    const missing = options.totalQuestions - saved;
+    let replaced = 0;
+    if (missing > 0 && skipped.length > 0 && !clientGone) {
+      const replacements = await replaceRepeats(cv, jobDescription, options, skipped.slice(0, missing), history, [
+        ...skipped.map(q => q.question_text),
+        ...avoidQuestions
+      ]);
+      for (const question of replacements) {
+        await saveQuestion(question, { checked: true });
+      }
+      replaced = replacements.length;
+    }
+
+    events.send('done', {
+      sessionId: keptSessionId(),
+      totalQuestions: saved,
+      complete: saved >= options.totalQuestions,
+      repeats: { detected: skipped.length, replaced }
+    });
+
+  } catch (error) {
+    console.error('Error streaming questions:', error);
+    events.send('error', {
+      error: 'Failed to generate interview questions',
+      code: 'GENERATION_FAILED',
+      details: error.message
+    });
+    events.send('done', { sessionId: keptSessionId(), totalQuestions: saved, complete: false });
+  } finally {
+    events.close();
+    if (saved === 0) {
+      try {
+        await withTransaction(conn => deleteSessionForUser(sessionId, user.id, conn));
+      } catch (error) {
+        console.error('Error deleting empty session:', error);
+      }
+    }
+  }
+});
+
 router.get('/session/:sessionId/questions', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { showAnswers = false } = req.query;
 
-    const questions = await getQuestionsBySessionId(sessionId);
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const questions = await listQuestionsForSession(sessionId);
     
-    const formattedQuestions = questions.map(q => ({
-      id: q.id,
-      question: q.question_text,
-      type: q.question_type,
-      difficulty: q.difficulty_level,
-      order: q.order_index,
-      isAnswered: q.is_answered,
-      ...(showAnswers === 'true' && { answer: q.suggested_answer })
-    }));
+    const formattedQuestions = questions.map(q => formatQuestion(q, showAnswers === 'true'));
 
     return res.json({
       success: true,
@@ -126,25 +466,19 @@ router.get('/session/:sessionId/questions', async (req, res) => {
   }
 });
 
-router.get('/user/:email/sessions', async (req, res) => {
+// /user/:email/sessions is the old path, kept for existing clients. The email
+// in it is ignored: the list is always the token holder's own.
+router.get(['/sessions', '/user/:email/sessions'], async (req, res) => {
   try {
-    const { email } = req.params;
-    
-    const user = await getUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'User not found. Please contact support to create an account.',
-        code: 'USER_NOT_FOUND'
-      });
-    }
+    const user = req.user;
 
-    const sessions = await getUserSessions(user.id);
+    const sessions = await listSessionsForUser(user.id);
+    const now = new Date();
     
     return res.json({
       success: true,
       userId: user.id,
-      sessions: sessions
+      sessions: sessions.map(session => ({ ...session, timing: describeTiming(session, now) }))
     });
 
   } catch (error) {
@@ -157,372 +491,1360 @@ router.get('/user/:email/sessions', async (req, res) => {
 });
 
 
-async function createInterviewSession(userId, title, cvText, jobDescription, sessionType) {
-  return new Promise((resolve, reject) => {
-    db.query(
-      'INSERT INTO interview_sessions (user_id, title, cv_text, job_description, session_type) VALUES (?, ?, ?, ?, ?)',
-      [userId, title, cvText, jobDescription, sessionType],
-      (err, result) => {
-        if (err) reject(err);
-        resolve(result.insertId);
-      }
-    );
-  });
-}
+router.post('/question/:questionId/answers', aiLimiter, async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const { answer } = req.body;
+
+    if (typeof answer !== 'string' || !answer.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Answer is a required field' 
+      });
+    }
 
-function createInterviewPrompt(cv, jobDescription) {
-  let prompt = `You are an expert HR interviewer. Analyze the provided CV and generate exactly 20 relevant, professional interview questions with HIGH-QUALITY, SPECIFIC answers.
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Answer must be at most ${MAX_ANSWER_LENGTH} characters` 
+      });
+    }
+
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to answer it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
 
-CV:
-${cv}
+    const timingError = await checkAnswerTiming(question, req.user.id);
+    if (timingError) {
+      return sendTimingError(res, timingError);
+    }
 
-`;
-  
-  if (jobDescription) {
-    prompt += `Job Description:
-${jobDescription}
+    const attempt = await submitAnswer({
+      question,
+      userId: req.user.id,
+      answerText: answer.trim()
+    });
 
-Instructions: Generate questions that assess both the candidate's background (from CV) and their fit for this specific role (from job description).
-`;
-  } else {
-    prompt += `Instructions: Generate questions based solely on the candidate's CV, focusing on their experience, skills, and background.
-`;
-  }
-  
-  prompt += `
-Question Distribution:
-- 4 General questions (background, motivation, career goals)
-- 6 Technical questions (based on skills and technologies mentioned in CV)
-- 4 Behavioral questions (using STAR method scenarios)
-- 4 CV-specific questions (about specific experiences, projects, or achievements mentioned)
-${jobDescription ? '- 2 Job-specific questions (tailored to the job requirements and how CV aligns)' : '- 2 Additional experience-based questions'}
-
-CRITICAL ANSWER REQUIREMENTS:
-1. For technical questions: Provide DIRECT, SPECIFIC answers with concrete examples, comparisons, and best practices
-2. For comparison questions: Give definitive answers about which tool/approach is better and WHY
-3. For skill-based questions: Provide actual implementation details, code snippets concepts, or methodologies
-4. For experience questions: Create realistic, detailed scenarios based on the CV content
-5. For behavioral questions: Provide STAR method examples that feel authentic and specific
-6. For general questions: Give thoughtful, professional responses that sound like a real candidate would say
-
-AVOID these in answers:
-- "The candidate should..."
-- "One should consider..."
-- "It's important to..."
-- Generic advice or study suggestions
-- Vague recommendations
-
-INSTEAD provide:
-- Direct statements and opinions
-- Specific examples and scenarios
-- Concrete technical details
-- Definitive comparisons with reasoning
-- Realistic personal experiences based on CV
-
-Requirements:
-1. Questions must be directly relevant to the CV content
-2. Technical questions should focus on technologies/skills actually mentioned in the CV
-3. Behavioral questions should be applicable to the person's experience level and background
-4. Vary difficulty levels: 6 easy, 8 medium, 6 hard
-5. Each answer should sound like it's coming from the actual person whose CV you're analyzing
-
-CRITICAL: Respond with ONLY a valid JSON array. No explanations, no markdown, no extra text.
-
-Format:
-[
-  {
-    "question": "Question text here",
-    "type": "general|technical|behavioral|cv_specific|job_specific",
-    "difficulty": "easy|medium|hard",
-    "answer": "Direct, specific answer as if the candidate is responding - no advice or 'should do' statements"
+    return res.status(201).json({
+      success: true,
+      questionId: question.id,
+      attempt
+    });
+
+  } catch (error) {
+    console.error('Error submitting answer:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to submit answer',
+      details: error.message 
+    });
   }
-]
+});
+
+router.get('/question/:questionId/answers', async (req, res) => {
+  try {
+    const { questionId } = req.params;
 
-Examples of GOOD answers:
-- Technical: "I prefer React over Vue because React's component lifecycle and hooks provide better state management flexibility. In my last project, I used useEffect with cleanup functions to handle API calls efficiently..."
-- Comparison: "PostgreSQL is better than MySQL for complex queries due to its advanced indexing and JSON support. I've used both, and PostgreSQL's performance with joins on large datasets is significantly better..."
-- Behavioral: "At XYZ Company, we had a critical bug in production affecting 10,000+ users. I immediately set up monitoring, identified the root cause in our caching layer within 30 minutes, and deployed a hotfix that resolved the issue..."
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to view it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
 
-Analyze the CV thoroughly and create questions with answers that sound authentic and knowledgeable.`;
+    const answers = await listAnswersForQuestion(question.id);
 
-  return prompt;
-}
+    return res.json({
+      success: true,
+      questionId: question.id,
+      attempts: answers.map(formatAnswer)
+    });
 
-function createGenericFallbackQuestions() {
-  return [
-    {
-      question_text: "Tell me about yourself and your professional background.",
-      question_type: "general",
-      difficulty_level: "easy",
-      suggested_answer: "I'm a software developer with 3+ years of experience building web applications. I started my career at a startup where I worked with React and Node.js, then moved to a larger company where I focused on microservices architecture. I'm passionate about clean code and user experience, and I enjoy solving complex technical problems while collaborating with cross-functional teams.",
-      order_index: 1
-    },
-    {
-      question_text: "What are your greatest professional strengths?",
-      question_type: "general",
-      difficulty_level: "easy",
-      suggested_answer: "My greatest strength is problem-solving under pressure. I have a systematic approach where I break down complex issues into smaller components, research thoroughly, and implement solutions quickly. For example, I once debugged a critical production issue that was affecting our payment system by tracing through logs and identifying a race condition in our database transactions.",
-      order_index: 2
-    },
-    {
-      question_text: "Describe a challenging project you worked on and how you overcame obstacles.",
-      question_type: "behavioral",
-      difficulty_level: "medium",
-      suggested_answer: "I was tasked with migrating our legacy PHP application to a modern React/Node.js stack within 6 months. The main challenge was maintaining business continuity while rebuilding core features. I created a detailed migration plan, implemented feature flags for gradual rollout, and set up comprehensive testing. We completed the migration 2 weeks ahead of schedule and improved page load times by 60%.",
-      order_index: 3
-    },
-    {
-      question_text: "How do you stay updated with the latest trends and technologies in your field?",
-      question_type: "general",
-      difficulty_level: "easy",
-      suggested_answer: "I follow several tech blogs like Hacker News and Dev.to, subscribe to newsletters from companies like Vercel and GitHub, and participate in developer communities on Discord. I also attend local meetups monthly and take online courses on platforms like Pluralsight. Recently, I completed a course on GraphQL and implemented it in a side project to understand its benefits over REST APIs.",
-      order_index: 4
-    },
-    {
-      question_text: "Tell me about a time when you had to work under pressure or tight deadlines.",
-      question_type: "behavioral",
-      difficulty_level: "medium",
-      suggested_answer: "During Black Friday last year, our e-commerce platform experienced a 500% traffic spike that caused performance issues. I had 4 hours to optimize the system before peak shopping hours. I implemented Redis caching for product queries, optimized database indexes, and set up load balancing. The changes reduced response times from 3 seconds to under 500ms, and we handled the traffic without any downtime.",
-      order_index: 5
-    },
-    {
-      question_text: "What technical skills do you consider your strongest, and how have you applied them?",
-      question_type: "technical",
-      difficulty_level: "medium",
-      suggested_answer: "JavaScript and React are my strongest skills. I've built multiple production applications using React with hooks, context API, and custom hooks for state management. In my current role, I architected a dashboard application that handles real-time data updates using WebSockets and optimized rendering with React.memo and useMemo, resulting in smooth performance even with 1000+ data points updating every second.",
-      order_index: 6
-    },
-    {
-      question_text: "How do you approach problem-solving in your work?",
-      question_type: "behavioral",
-      difficulty_level: "medium",
-      suggested_answer: "I use a structured approach: first, I reproduce the issue and gather all relevant information. Then I research similar problems and potential solutions. I break the problem into smaller parts and tackle them systematically. For example, when debugging a memory leak in our Node.js application, I used Chrome DevTools to profile memory usage, identified unused event listeners, and implemented proper cleanup, reducing memory usage by 40%.",
-      order_index: 7
-    },
-    {
-      question_text: "What motivates you in your professional career?",
-      question_type: "general",
-      difficulty_level: "easy",
-      suggested_answer: "I'm motivated by building products that solve real problems for users. There's nothing more satisfying than seeing positive user feedback or knowing that a feature I built is making someone's work easier. I also enjoy the continuous learning aspect of technology - every project teaches me something new, whether it's a different framework, architecture pattern, or business domain.",
-      order_index: 8
-    },
-    {
-      question_text: "Describe a situation where you had to learn a new technology or skill quickly.",
-      question_type: "behavioral",
-      difficulty_level: "medium",
-      suggested_answer: "When our team decided to adopt TypeScript, I had only 2 weeks to become proficient before starting a major project. I dedicated time each day to hands-on practice, converted a personal project from JavaScript to TypeScript, and studied advanced concepts like generics and utility types. I also pair-programmed with a senior developer who had TypeScript experience. Within 2 weeks, I was comfortable writing type-safe code and even helped onboard other team members.",
-      order_index: 9
-    },
-    {
-      question_text: "Where do you see yourself professionally in the next 3-5 years?",
-      question_type: "general",
-      difficulty_level: "easy",
-      suggested_answer: "I see myself growing into a senior developer role where I can mentor junior developers and contribute to architectural decisions. I want to deepen my expertise in system design and possibly move into a tech lead position. I'm particularly interested in learning more about distributed systems and cloud architecture. Long-term, I'd like to contribute to open-source projects and maybe speak at tech conferences about best practices I've learned.",
-      order_index: 10
-    }
-  ];
-}
+  } catch (error) {
+    console.error('Error fetching answers:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch answers',
+      details: error.message 
+    });
+  }
+});
 
-function parseQuestionsFromAI(aiResponse) {
+router.get('/question/:questionId/audio', aiLimiter, async (req, res) => {
   try {
-    console.log('Raw AI Response:', aiResponse); // Debug log
-    
-    // Try multiple approaches to extract JSON
-    let jsonString = null;
-    
-    // Method 1: Look for JSON array
-    let jsonMatch = aiResponse.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      jsonString = jsonMatch[0];
-    } else {
-      // Method 2: Look for JSON between ```json blocks
-      jsonMatch = aiResponse.match(/```json\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonString = jsonMatch[1];
-      } else {
-        // Method 3: Look for JSON between ``` blocks
-        jsonMatch = aiResponse.match(/```\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          jsonString = jsonMatch[1];
-        }
-      }
+    const { questionId } = req.params;
+
+    // A repeated ?language= parses as an array.
+    if (req.query.language !== undefined && typeof req.query.language !== 'string') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'language must be a single string',
+        code: 'INVALID_LANGUAGE'
+      });
     }
-    
-    if (jsonString) {
-      console.log('Extracted JSON:', jsonString); // Debug log
-      const questionsArray = JSON.parse(jsonString);
-      
-      if (Array.isArray(questionsArray) && questionsArray.length > 0) {
-        return questionsArray.map((q, index) => ({
-          question_text: q.question || q.question_text,
-          question_type: q.type || q.question_type || 'general',
-          difficulty_level: q.difficulty || q.difficulty_level || 'medium',
-          suggested_answer: q.answer || q.suggested_answer || 'Answer not provided',
-          order_index: index + 1
-        }));
-      }
+
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to view it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
     }
-    
-    throw new Error('No valid JSON array found in response');
+
+    const language = req.query.language || await findSessionLanguage(question.session_id, req.user.id);
+    const { audio, mimeType } = await synthesizeSpeech(question.question_text, { language });
+
+    res.set('Content-Type', mimeType);
+    res.set('Content-Length', String(audio.length));
+    res.set('Cache-Control', 'private, max-age=3600');
+    return res.send(audio);
+
   } catch (error) {
-    console.error('Error parsing AI response:', error);
-    console.error('AI Response was:', aiResponse);
-    // Create CV-specific fallback questions instead of generic ones
-    return createGenericFallbackQuestions();
+    console.error('Error synthesizing question audio:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to generate question audio',
+      details: error.message 
+    });
   }
-}
+});
 
+// Transcribes a recorded answer (multipart field `audio`) and grades the
+// transcript exactly like a typed answer.
+router.post('/question/:questionId/audio-answer', aiLimiter, audioUpload, async (req, res) => {
+  try {
+    const { questionId } = req.params;
 
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'An audio file is required in the "audio" field',
+        code: 'AUDIO_REQUIRED'
+      });
+    }
 
-async function saveQuestionsToDatabase(sessionId, questions) {
-  return new Promise((resolve, reject) => {
-    const values = questions.map(q => [
-      sessionId,
-      q.question_text,
-      q.question_type,
-      q.difficulty_level,
-      q.suggested_answer,
-      q.order_index
-    ]);
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to answer it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
 
-    const placeholders = values.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
-    const flatValues = values.flat();
+    const timingError = await checkAnswerTiming(question, req.user.id);
+    if (timingError) {
+      return sendTimingError(res, timingError);
+    }
 
-    db.query(
-      `INSERT INTO interview_questions (session_id, question_text, question_type, difficulty_level, suggested_answer, order_index) VALUES ${placeholders}`,
-      flatValues,
-      (err, result) => {
-        if (err) reject(err);
-        resolve(result);
-      }
-    );
-  });
-}
+    const language = req.body.language || await findSessionLanguage(question.session_id, req.user.id);
+    const { transcript, confidence } = await transcribeAudio(req.file.buffer, {
+      mimeType: req.file.mimetype,
+      language
+    });
 
-async function getQuestionsBySessionId(sessionId) {
-  return new Promise((resolve, reject) => {
-    db.query(
-      'SELECT * FROM interview_questions WHERE session_id = ? ORDER BY order_index',
-      [sessionId],
-      (err, results) => {
-        if (err) reject(err);
-        resolve(results);
-      }
-    );
-  });
-}
+    if (!transcript) {
+      return res.status(422).json({ 
+        success: false,
+        error: 'No speech could be recognised in the recording.',
+        code: 'EMPTY_TRANSCRIPT'
+      });
+    }
 
-async function getUserSessions(userId) {
-  return new Promise((resolve, reject) => {
-    db.query(
-      `SELECT 
-        s.*,
-        COUNT(q.id) as question_count
-       FROM interview_sessions s 
-       LEFT JOIN interview_questions q ON s.id = q.session_id 
-       WHERE s.user_id = ? 
-       GROUP BY s.id 
-       ORDER BY s.created_at DESC
-      
-       `,
-      [userId],
-      (err, results) => {
-        if (err) reject(err);
-        resolve(results);
-      }
-    );
-  });
-}
+    if (transcript.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Answer must be at most ${MAX_ANSWER_LENGTH} characters` 
+      });
+    }
 
-router.delete('/session/:sessionId', async (req, res) => {
+    const attempt = await submitAnswer({
+      question,
+      userId: req.user.id,
+      answerText: transcript,
+      source: 'voice'
+    });
+
+    return res.status(201).json({
+      success: true,
+      questionId: question.id,
+      transcript,
+      confidence,
+      attempt
+    });
+
+  } catch (error) {
+    console.error('Error submitting audio answer:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to submit audio answer',
+      details: error.message 
+    });
+  }
+});
+
+router.post('/session/:sessionId/report', aiLimiter, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { email } = req.body;
 
-    if (!email) {
-      return res.status(400).json({ 
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
         success: false,
-        error: 'Email is required for session deletion' 
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
       });
     }
 
-    const user = await getUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({ 
+    const questions = await listQuestionsForSession(session.id);
+    const latestAnswers = await listLatestGradedAnswersForSession(session.id);
+
+    if (latestAnswers.length === 0) {
+      return res.status(400).json({ 
         success: false,
-        error: 'User not found. Please contact support to create an account.',
-        code: 'USER_NOT_FOUND'
+        error: 'Answer at least one question before generating a report.',
+        code: 'NO_GRADED_ANSWERS'
       });
     }
 
-    const sessionExists = await verifySessionOwnership(sessionId, user.id);
-    if (!sessionExists) {
+    const report = await buildSessionReport(session, questions, latestAnswers);
+    await saveSessionReport({
+      sessionId: session.id,
+      userId: req.user.id,
+      readinessScore: report.readinessScore,
+      report
+    });
+
+    return res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      report
+    });
+
+  } catch (error) {
+    console.error('Error generating report:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to generate report',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/session/:sessionId/report', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
       return res.status(404).json({ 
         success: false,
-        error: 'Session not found or you do not have permission to delete it.',
+        error: 'Session not found or you do not have permission to view it.',
         code: 'SESSION_NOT_FOUND'
       });
     }
 
-    await deleteQuestionsBySessionId(sessionId);
-    
-    await deleteSessionById(sessionId);
+    const savedReport = await findSessionReport(session.id);
+    if (!savedReport) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'No report has been generated for this session yet.',
+        code: 'REPORT_NOT_FOUND'
+      });
+    }
 
     return res.json({
       success: true,
-      message: 'Session deleted successfully'
+      sessionId: session.id,
+      report: typeof savedReport.report === 'string' ? JSON.parse(savedReport.report) : savedReport.report,
+      updatedAt: savedReport.updated_at
     });
 
   } catch (error) {
-    console.error('Error deleting session:', error);
+    console.error('Error fetching report:', error);
     return res.status(500).json({ 
       success: false,
-      error: 'Failed to delete session',
+      error: 'Failed to fetch report',
       details: error.message 
     });
   }
 });
 
+// Printable study guide. ?hideAnswers=true leaves out suggested and graded
+// answers for use as a quiz; ?groupBy=type sections the questions by type.
+router.get('/session/:sessionId/export.pdf', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { hideAnswers = 'false', groupBy = 'order' } = req.query;
 
-async function verifySessionOwnership(sessionId, userId) {
-  return new Promise((resolve, reject) => {
-    db.query(
-      'SELECT id FROM interview_sessions WHERE id = ? AND user_id = ?',
-      [sessionId, userId],
-      (err, results) => {
-        if (err) reject(err);
-        resolve(results.length > 0);
-      }
-    );
-  });
-}
+    if (!PDF_GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `groupBy must be one of: ${PDF_GROUP_BY.join(', ')}`
+      });
+    }
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const questions = await listQuestionsForSession(session.id);
+    const latestAnswers = await listLatestGradedAnswersForSession(session.id);
+
+    const pdf = await renderSessionPdf(session, questions, latestAnswers, {
+      hideAnswers: hideAnswers === 'true',
+      groupBy
+    });
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="interview-session-${session.id}.pdf"`);
+    res.set('Content-Length', String(pdf.length));
+    return res.send(pdf);
+
+  } catch (error) {
+    console.error('Error exporting session PDF:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to export session',
+      details: error.message 
+    });
+  }
+});
+
+router.post('/adaptive/start', aiLimiter, async (req, res) => {
+  try {
+    const { cv, jobDescription = null, options: requestedOptions } = req.body;
+    const user = req.user;
+
+    if (!cv) {
+      return res.status(400).json({ 
+        error: 'CV is a required field' 
+      });
+    }
+
+    const { options, errors } = normalizeAdaptiveOptions(requestedOptions, {
+      hasJobDescription: Boolean(jobDescription)
+    });
+    if (errors) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid generation options',
+        code: 'INVALID_OPTIONS',
+        errors
+      });
+    }
+
+    if (!user.is_verified) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Your email is not verified. Please contact support for account verification.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const sessionType = jobDescription ? 'cv_with_job' : 'cv_only';
+    const plan = planNextStep(options, [], null, null);
+    const { question } = await generateNextQuestion(
+      { cv_text: cv, job_description: jobDescription },
+      options,
+      [],
+      plan
+    );
+
+    const { sessionId, firstQuestion } = await withTransaction(async (conn) => {
+      const sessionId = await createSession({
+        userId: user.id,
+        title: `Adaptive Interview - ${new Date().toLocaleDateString()}`,
+        cvText: cv,
+        jobDescription,
+        sessionType,
+        mode: 'adaptive',
+        generationOptions: options
+      }, conn);
+      await insertQuestion(sessionId, { ...question, order_index: 1 }, conn);
+      await rememberQuestions(user.id, [question], conn);
+      const [firstQuestion] = await listQuestionsForSession(sessionId, conn);
+      return { sessionId, firstQuestion };
+    });
+
+    return res.status(201).json({
+      success: true,
+      sessionId,
+      mode: 'adaptive',
+      sessionType,
+      options,
+      question: formatAdaptiveQuestion(firstQuestion)
+    });
+
+  } catch (error) {
+    console.error('Error starting adaptive interview:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to start adaptive interview',
+      details: error.message 
+    });
+  }
+});
+
+// Answers the question currently being asked, then either probes the answer
+// with a follow-up, moves on to the next topic or ends the interview.
+router.post('/session/:sessionId/adaptive/answer', aiLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { answer } = req.body;
+
+    if (typeof answer !== 'string' || !answer.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Answer is a required field' 
+      });
+    }
+
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Answer must be at most ${MAX_ANSWER_LENGTH} characters` 
+      });
+    }
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.mode !== 'adaptive') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'This session is not an adaptive interview.',
+        code: 'NOT_ADAPTIVE_SESSION'
+      });
+    }
+
+    const questions = await listQuestionsForSession(session.id);
+    const current = questions[questions.length - 1];
+    if (!current || current.is_answered) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'This interview has finished; there is no question waiting for an answer.',
+        code: 'ADAPTIVE_SESSION_COMPLETE'
+      });
+    }
+
+    const timingError = await checkAnswerTiming(current, req.user.id);
+    if (timingError) {
+      return sendTimingError(res, timingError);
+    }
+
+    const attempt = await submitAnswer({
+      question: current,
+      userId: req.user.id,
+      answerText: answer.trim()
+    });
+
+    const options = parseJsonColumn(session.generation_options);
+    const plan = planNextStep(options, questions, current, attempt.score);
+
+    let next = { action: 'finish', reason: null, question: null };
+    if (plan.allowFollowUp || plan.allowNext) {
+      const thread = buildThread(questions, await listAnswersForSession(session.id));
+      next = await generateNextQuestion(session, options, thread, plan);
+    }
+
+    let nextQuestion = null;
+    if (next.question) {
+      nextQuestion = await withTransaction(async (conn) => {
+        await lockSession(session.id, conn);
+        const latest = await listQuestionsForSession(session.id, conn);
+        const last = latest[latest.length - 1];
+        // A concurrent answer already moved the interview on; keep its question.
+        if (last.id !== current.id) {
+          return last;
+        }
+        const id = await insertQuestion(session.id, { ...next.question, order_index: current.order_index + 1 }, conn);
+        await rememberQuestions(req.user.id, [next.question], conn);
+        return (await listQuestionsForSession(session.id, conn)).find(q => q.id === id);
+      });
+    }
+
+    // Timed sessions count time against the question now being asked.
+    if (nextQuestion && session.status === 'in_progress') {
+      await focusQuestion(session.id, req.user.id, nextQuestion.id);
+    }
+
+    return res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      questionId: current.id,
+      attempt,
+      action: next.action,
+      reason: next.reason,
+      completed: !nextQuestion,
+      difficulty: {
+        previous: current.difficulty_level,
+        next: nextQuestion ? nextQuestion.difficulty_level : null
+      },
+      question: nextQuestion && formatAdaptiveQuestion(nextQuestion)
+    });
+
+  } catch (error) {
+    console.error('Error answering adaptive question:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to submit answer',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/session/:sessionId/thread', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { showAnswers = false } = req.query;
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    const questions = await listQuestionsForSession(session.id);
+    const thread = buildThread(questions, await listAnswersForSession(session.id));
+    const last = questions[questions.length - 1];
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      mode: session.mode,
+      completed: session.mode === 'adaptive' ? Boolean(last && last.is_answered) : null,
+      thread: thread.map(({ question, attempts }) => ({
+        ...formatAdaptiveQuestion(question),
+        isAnswered: question.is_answered,
+        ...(showAnswers === 'true' && { answer: question.suggested_answer }),
+        attempts: attempts.map(formatAnswer)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch interview thread',
+      details: error.message 
+    });
+  }
+});
+
+// Chat mode: a free-form conversation with an AI interviewer, grounded in the
+// CV and job description, instead of a list of questions. The transcript is
+// stored message by message, so a conversation can be resumed at any time.
+const sendNotChatSession = (res) => res.status(409).json({ 
+  success: false,
+  error: 'This session is not a chat interview.',
+  code: 'NOT_A_CHAT_SESSION'
+});
+
+const chatOptions = (session) => parseJsonColumn(session.generation_options);
+
+router.post('/chat/start', aiLimiter, async (req, res) => {
+  try {
+    const { cv, jobDescription = null, templateId, options: requestedOptions } = req.body;
+    const user = req.user;
+
+    if (!cv) {
+      return res.status(400).json({ 
+        error: 'CV is a required field' 
+      });
+    }
+
+    const { template, notFound } = await findGenerationTemplate(templateId, user.id);
+    if (notFound) {
+      return sendTemplateNotFound(res);
+    }
+
+    const { options, errors } = normalizeChatOptions(requestedOptions, {
+      hasJobDescription: Boolean(jobDescription),
+      template
+    });
+    if (errors) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid chat options',
+        code: 'INVALID_OPTIONS',
+        errors
+      });
+    }
+
+    if (!user.is_verified) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Your email is not verified. Please contact support for account verification.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const sessionType = jobDescription ? 'cv_with_job' : 'cv_only';
+    const opening = await generateInterviewerReply({ cv_text: cv, job_description: jobDescription }, options, []);
+
+    const { sessionId, messages } = await withTransaction(async (conn) => {
+      const sessionId = await createSession({
+        userId: user.id,
+        title: sessionTitleFor(options, 'Chat Interview'),
+        cvText: cv,
+        jobDescription,
+        sessionType,
+        mode: 'chat',
+        generationOptions: options
+      }, conn);
+      await insertChatMessage(sessionId, { role: 'interviewer', content: opening, createdAt: new Date() }, conn);
+      return { sessionId, messages: await listChatMessages(sessionId, conn) };
+    });
+
+    return res.status(201).json({
+      success: true,
+      sessionId,
+      mode: 'chat',
+      sessionType,
+      options,
+      chat: describeChat(options, messages),
+      message: formatChatMessage(messages[0])
+    });
+
+  } catch (error) {
+    console.error('Error starting chat interview:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to start chat interview',
+      details: error.message 
+    });
+  }
+});
+
+// Sends the candidate's message and returns the interviewer's reply. After the
+// candidate's last turn the reply closes the interview and the chat stops
+// accepting messages.
+router.post('/session/:sessionId/chat', aiLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { message } = req.body;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Message is a required field' 
+      });
+    }
+
+    if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Message must be at most ${MAX_CHAT_MESSAGE_LENGTH} characters` 
+      });
+    }
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.mode !== 'chat') {
+      return sendNotChatSession(res);
+    }
+
+    // Checked before the model is called, so a chat that has run out of
+    // time is finished rather than answered.
+    const timingError = await checkSessionTiming(session.id, req.user.id);
+    if (timingError) {
+      return sendTimingError(res, timingError);
+    }
+
+    const options = chatOptions(session);
+    const sendChatFinished = () => res.status(409).json({ 
+      success: false,
+      error: 'This interview has finished. Request an evaluation or start a new chat.',
+      code: 'CHAT_FINISHED'
+    });
+    const sendReplyPending = () => res.status(409).json({ 
+      success: false,
+      error: 'Wait for the interviewer to reply to your previous message.',
+      code: 'CHAT_REPLY_PENDING'
+    });
+
+    const before = await listChatMessages(session.id);
+    if (describeChat(options, before).candidateTurns >= options.maxTurns) {
+      return sendChatFinished();
+    }
+    if (before[before.length - 1]?.role !== 'interviewer') {
+      return sendReplyPending();
+    }
+
+    // The reply is generated before anything is stored; the candidate's message
+    // and the reply are then inserted together, under the session lock, only if
+    // nothing was added to the transcript meanwhile. A message sent while
+    // another is awaiting its reply is rejected, so turns always alternate.
+    const receivedAt = new Date();
+    const reply = await generateInterviewerReply(session, options, [
+      ...before,
+      { role: 'candidate', content: message.trim(), created_at: receivedAt }
+    ]);
+
+    const result = await withTransaction(async (conn) => {
+      await lockSession(session.id, conn);
+      const latest = await listChatMessages(session.id, conn);
+      if (latest.length !== before.length || latest[latest.length - 1].id !== before[before.length - 1].id) {
+        return { conflict: true };
+      }
+      const candidateId = await insertChatMessage(session.id, {
+        role: 'candidate',
+        content: message.trim(),
+        createdAt: receivedAt
+      }, conn);
+      const replyId = await insertChatMessage(session.id, { role: 'interviewer', content: reply, createdAt: new Date() }, conn);
+      return { candidateId, replyId, transcript: await listChatMessages(session.id, conn) };
+    });
+
+    if (result.conflict) {
+      return sendReplyPending();
+    }
+
+    const { candidateId, replyId, transcript } = result;
+    const candidateMessage = transcript.find(m => m.id === candidateId);
+
+    return res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      message: formatChatMessage(candidateMessage),
+      reply: formatChatMessage(transcript.find(m => m.id === replyId)),
+      chat: describeChat(options, transcript)
+    });
+
+  } catch (error) {
+    console.error('Error sending chat message:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to send message',
+      details: error.message 
+    });
+  }
+});
+
+// The full transcript, for resuming a conversation, with the latest saved
+// evaluation. The evaluation is marked stale if messages were sent after it.
+router.get('/session/:sessionId/chat', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.mode !== 'chat') {
+      return sendNotChatSession(res);
+    }
+
+    const messages = await listChatMessages(session.id);
+    const evaluation = await findChatEvaluation(session.id);
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      title: session.title,
+      status: session.status,
+      options: chatOptions(session),
+      chat: describeChat(chatOptions(session), messages),
+      messages: messages.map(formatChatMessage),
+      evaluation: evaluation && {
+        ...parseJsonColumn(evaluation.evaluation),
+        stale: evaluation.message_count < messages.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching chat transcript:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch chat transcript',
+      details: error.message 
+    });
+  }
+});
+
+// Evaluates the conversation so far and saves the result, replacing any
+// earlier evaluation. It can be requested at any point, not only once the
+// interviewer has closed the interview.
+router.post('/session/:sessionId/chat/evaluate', aiLimiter, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to view it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.mode !== 'chat') {
+      return sendNotChatSession(res);
+    }
+
+    const options = chatOptions(session);
+    const messages = await listChatMessages(session.id);
+    if (describeChat(options, messages).candidateTurns === 0) {
+      return res.status(409).json({ 
+        success: false,
+        error: 'Reply to the interviewer at least once before requesting an evaluation.',
+        code: 'NOTHING_TO_EVALUATE'
+      });
+    }
+
+    const evaluation = await evaluateChat(session, options, messages);
+    await saveChatEvaluation({
+      sessionId: session.id,
+      userId: req.user.id,
+      score: evaluation.score,
+      messageCount: messages.length,
+      evaluation
+    });
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      evaluation: { ...evaluation, stale: false }
+    });
+
+  } catch (error) {
+    console.error('Error evaluating chat interview:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to evaluate chat interview',
+      details: error.message 
+    });
+  }
+});
 
-async function deleteQuestionsBySessionId(sessionId) {
-  return new Promise((resolve, reject) => {
-    db.query(
-      'DELETE FROM interview_questions WHERE session_id = ?',
-      [sessionId],
-      (err, result) => {
-        if (err) reject(err);
-        resolve(result);
+// Adaptive threads are built answer by answer, so only the wording of their
+// questions may change; adding, removing, reordering or regenerating would
+// break the follow-up chain.
+const sendAdaptiveNotEditable = (res) => res.status(409).json({ 
+  success: false,
+  error: 'Questions in an adaptive interview can be edited but not added, removed, reordered or regenerated.',
+  code: 'ADAPTIVE_SESSION_NOT_EDITABLE'
+});
+
+const sendChatHasNoQuestions = (res) => res.status(409).json({ 
+  success: false,
+  error: 'Chat interviews have no question list to edit.',
+  code: 'CHAT_SESSION_HAS_NO_QUESTIONS'
+});
+
+router.post('/session/:sessionId/questions', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { position } = req.body;
+    const showAnswers = req.query.showAnswers === 'true';
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to edit it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.mode === 'adaptive') {
+      return sendAdaptiveNotEditable(res);
+    }
+
+    if (session.mode === 'chat') {
+      return sendChatHasNoQuestions(res);
+    }
+
+    const { fields, errors } = parseQuestionFields(req.body, { requireQuestion: true });
+    if (errors) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid question',
+        code: 'INVALID_QUESTION',
+        errors
+      });
+    }
+
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'position must be a positive integer',
+        code: 'INVALID_QUESTION',
+        errors: ['position must be a positive integer']
+      });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      await lockSession(session.id, conn);
+      const existing = await listQuestionsForSession(session.id, conn);
+      if (existing.length >= MAX_QUESTIONS) {
+        return { full: true };
       }
-    );
-  });
-}
 
-async function deleteSessionById(sessionId) {
-  return new Promise((resolve, reject) => {
-    db.query(
-      'DELETE FROM interview_sessions WHERE id = ?',
-      [sessionId],
-      (err, result) => {
-        if (err) reject(err);
-        resolve(result);
+      // Positions past the end append.
+      const orderIndex = Math.min(position || existing.length + 1, existing.length + 1);
+      await shiftQuestionOrder(session.id, orderIndex, 1, conn);
+      const questionId = await insertQuestion(session.id, {
+        question_type: 'general',
+        difficulty_level: 'medium',
+        suggested_answer: null,
+        ...fields,
+        order_index: orderIndex
+      }, conn);
+
+      return { questionId, questions: await listQuestionsForSession(session.id, conn) };
+    });
+
+    if (result.full) {
+      return res.status(400).json({ 
+        success: false,
+        error: `A session can have at most ${MAX_QUESTIONS} questions`,
+        code: 'SESSION_FULL'
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      sessionId: session.id,
+      questionId: result.questionId,
+      questions: result.questions.map(q => formatQuestion(q, showAnswers))
+    });
+
+  } catch (error) {
+    console.error('Error adding question:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to add question',
+      details: error.message 
+    });
+  }
+});
+
+router.put('/session/:sessionId/order', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { questionIds } = req.body;
+    const showAnswers = req.query.showAnswers === 'true';
+
+    if (!Array.isArray(questionIds) || !questionIds.every(Number.isInteger)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'questionIds must be an array of question ids',
+        code: 'INVALID_QUESTION_ORDER'
+      });
+    }
+
+    const session = await findSessionForUser(sessionId, req.user.id);
+    if (!session) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to edit it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.mode === 'adaptive') {
+      return sendAdaptiveNotEditable(res);
+    }
+
+    const questions = await withTransaction(async (conn) => {
+      await lockSession(session.id, conn);
+      const existing = await listQuestionsForSession(session.id, conn);
+
+      // Must be a permutation of the session's questions, so no question is
+      // left without a position or given two.
+      const existingIds = new Set(existing.map(q => q.id));
+      const isPermutation = questionIds.length === existing.length
+        && new Set(questionIds).size === questionIds.length
+        && questionIds.every(id => existingIds.has(id));
+      if (!isPermutation) {
+        return null;
       }
+
+      await setQuestionOrder(session.id, questionIds, conn);
+      return listQuestionsForSession(session.id, conn);
+    });
+
+    if (!questions) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'questionIds must list every question in the session exactly once',
+        code: 'INVALID_QUESTION_ORDER'
+      });
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      questions: questions.map(q => formatQuestion(q, showAnswers))
+    });
+
+  } catch (error) {
+    console.error('Error reordering questions:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to reorder questions',
+      details: error.message 
+    });
+  }
+});
+
+router.patch('/question/:questionId', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    const { fields, errors } = parseQuestionFields(req.body);
+    if (errors) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid question',
+        code: 'INVALID_QUESTION',
+        errors
+      });
+    }
+
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to edit it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    const session = await findSessionForUser(question.session_id, req.user.id);
+    if (session.mode === 'chat') {
+      return sendChatHasNoQuestions(res);
+    }
+
+    const updated = await withTransaction(async (conn) => {
+      await lockSession(session.id, conn);
+      // Re-read under the lock: a concurrent edit may have removed it.
+      const current = await findQuestionForUser(question.id, req.user.id, conn);
+      if (!current) return null;
+
+      await updateQuestionFields(current.id, fields, conn);
+      return findQuestionForUser(current.id, req.user.id, conn);
+    });
+
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to edit it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    return res.json({
+      success: true,
+      question: formatQuestion(updated, true)
+    });
+
+  } catch (error) {
+    console.error('Error editing question:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to edit question',
+      details: error.message 
+    });
+  }
+});
+
+// Replaces the question with a new one of the same type and difficulty, in
+// the same position. Earlier attempts answered the old question, so they are
+// removed with it.
+router.post('/question/:questionId/regenerate', aiLimiter, async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const showAnswers = req.query.showAnswers === 'true';
+
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to edit it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    const session = await findSessionForUser(question.session_id, req.user.id);
+    if (session.mode === 'adaptive') {
+      return sendAdaptiveNotEditable(res);
+    }
+    if (session.mode === 'chat') {
+      return sendChatHasNoQuestions(res);
+    }
+
+    const siblings = (await listQuestionsForSession(session.id)).filter(q => q.id !== question.id);
+    const replacement = await generateReplacementQuestion(
+      session,
+      question,
+      siblings,
+      parseJsonColumn(session.generation_options)
     );
+
+    // A new question starts over: its answers and its place in the review
+    // queue belonged to the old one. The question may have been deleted while
+    // the replacement was generated, so it is re-read under the lock.
+    const updated = await withTransaction(async (conn) => {
+      await lockSession(session.id, conn);
+      const current = await findQuestionForUser(question.id, req.user.id, conn);
+      if (!current) return null;
+
+      await deleteAnswersForQuestion(current.id, conn);
+      await deleteReviewItemForQuestion(current.id, conn);
+      await updateQuestionFields(current.id, { ...replacement, is_answered: false }, conn);
+      await rememberQuestions(req.user.id, [{ ...current, ...replacement }], conn);
+      return findQuestionForUser(current.id, req.user.id, conn);
+    });
+
+    if (!updated) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to edit it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    return res.json({
+      success: true,
+      question: formatQuestion(updated, showAnswers)
+    });
+
+  } catch (error) {
+    console.error('Error regenerating question:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to regenerate question',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/question/:questionId', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const showAnswers = req.query.showAnswers === 'true';
+
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to delete it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    const session = await findSessionForUser(question.session_id, req.user.id);
+    if (session.mode === 'adaptive') {
+      return sendAdaptiveNotEditable(res);
+    }
+    if (session.mode === 'chat') {
+      return sendChatHasNoQuestions(res);
+    }
+
+    const questions = await withTransaction(async (conn) => {
+      await lockSession(session.id, conn);
+      // Re-read under the lock: a concurrent edit may have moved or removed it.
+      const current = await findQuestionForUser(question.id, req.user.id, conn);
+      if (!current) return null;
+
+      await deleteQuestion(current.id, conn);
+      await shiftQuestionOrder(session.id, current.order_index + 1, -1, conn);
+      return listQuestionsForSession(session.id, conn);
+    });
+
+    if (!questions) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Question not found or you do not have permission to delete it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      questions: questions.map(q => formatQuestion(q, showAnswers))
+    });
+
+  } catch (error) {
+    console.error('Error deleting question:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete question',
+      details: error.message 
+    });
+  }
+});
+
+// Lifecycle: POST /session/:id/start, /pause, /resume and /finish. Start
+// accepts optional { timeLimitMinutes, questionTimeLimitSeconds }.
+for (const action of Object.keys(SESSION_ACTIONS)) {
+  router.post(`/session/:sessionId/${action}`, async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      let limits = {};
+      if (action === 'start') {
+        const parsed = parseTimeLimits(req.body || {});
+        if (parsed.errors) {
+          return res.status(400).json({ 
+            success: false,
+            error: 'Invalid time limits',
+            code: 'INVALID_TIME_LIMITS',
+            errors: parsed.errors
+          });
+        }
+        limits = parsed.limits;
+      }
+
+      const { session, error } = await changeSessionStatus(sessionId, req.user.id, action, limits);
+      if (error) {
+        return sendTimingError(res, error, session ? { timing: describeTiming(session) } : {});
+      }
+
+      return res.json({
+        success: true,
+        sessionId: session.id,
+        timing: describeTiming(session)
+      });
+
+    } catch (error) {
+      console.error(`Error during session ${action}:`, error);
+      return res.status(500).json({ 
+        success: false,
+        error: `Failed to ${action} session`,
+        details: error.message 
+      });
+    }
   });
 }
 
+// Tells the server which question the user is looking at, so time in a timed
+// session is counted against it.
+router.post('/session/:sessionId/focus', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { questionId } = req.body;
+
+    if (!Number.isInteger(questionId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'questionId is a required field' 
+      });
+    }
+
+    const { session, error } = await focusQuestion(sessionId, req.user.id, questionId);
+    if (error) {
+      return sendTimingError(res, error, session ? { timing: describeTiming(session) } : {});
+    }
+
+    return res.json({
+      success: true,
+      sessionId: session.id,
+      timing: describeTiming(session)
+    });
+
+  } catch (error) {
+    console.error('Error focusing question:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to update current question',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/session/:sessionId/timing', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await getSessionTiming(sessionId, req.user.id);
+    if (!result) {
+      return sendTimingError(res, 'SESSION_NOT_FOUND');
+    }
+
+    return res.json({
+      success: true,
+      sessionId: result.session.id,
+      timing: result.timing,
+      questions: result.questions
+    });
+
+  } catch (error) {
+    console.error('Error fetching session timing:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch session timing',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/session/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const user = req.user;
+
+    const deleted = await withTransaction(conn => deleteSessionForUser(sessionId, user.id, conn));
+    if (!deleted) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Session not found or you do not have permission to delete it.',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Session deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    return res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete session',
+      details: error.message 
+    });
+  }
+});
 
 
 export default router
\ No newline at end of file
@@ -0,0 +1,173 @@
+import { Router } from 'express';
+import { findSessionForUser } from '../repositories/sessionRepository.js';
+import { listQuestionsForSession } from '../repositories/questionRepository.js';
+import { listLatestGradedAnswersForSession } from '../repositories/answerRepository.js';
+import { findCvAnalysisForUser } from '../repositories/cvAnalysisRepository.js';
+import { recordShareView, insertShareComment, listShareComments } from '../repositories/shareRepository.js';
+import {
+  resolveShareToken,
+  formatShareComment,
+  MAX_COMMENT_LENGTH,
+  MAX_AUTHOR_NAME_LENGTH
+} from '../lib/shares.js';
+import { formatAnswer } from '../lib/answers.js';
+import { buildScorecard } from '../lib/sessionReport.js';
+import { publicShareLimiter, shareCommentLimiter } from '../middleware/rateLimit.js';
+
+// Mounted without authentication: the share token in the path is the only
+// credential, and everything here is read-only apart from reviewer comments.
+const router = Router();
+
+const SHARE_ERRORS = {
+  SHARE_NOT_FOUND: { status: 404, error: 'This link is invalid or has been revoked.' },
+  SHARE_EXPIRED: { status: 410, error: 'This link has expired.' }
+};
+
+function sendShareError(res, code) {
+  return res.status(SHARE_ERRORS[code].status).json({
+    success: false,
+    error: SHARE_ERRORS[code].error,
+    code
+  });
+}
+
+async function buildSharedSession(share) {
+  const session = await findSessionForUser(share.session_id, share.user_id);
+  const questions = await listQuestionsForSession(session.id);
+  const latestAnswers = await listLatestGradedAnswersForSession(session.id);
+  const comments = await listShareComments(share.id);
+
+  const answersByQuestion = new Map(latestAnswers.map(answer => [answer.question_id, answer]));
+  const { unansweredQuestionIds, ...scorecard } = buildScorecard(questions, latestAnswers);
+
+  // The CV itself stays private; reviewers see the questions and answers.
+  return {
+    session: {
+      title: session.title,
+      sessionType: session.session_type,
+      mode: session.mode,
+      status: session.status,
+      createdAt: session.created_at
+    },
+    scorecard,
+    questions: questions.map(q => {
+      const answer = answersByQuestion.get(q.id);
+      return {
+        id: q.id,
+        question: q.question_text,
+        type: q.question_type,
+        difficulty: q.difficulty_level,
+        order: q.order_index,
+        isFollowUp: Boolean(q.is_follow_up),
+        suggestedAnswer: q.suggested_answer,
+        latestAnswer: answer ? formatAnswer(answer) : null,
+        comments: comments.filter(comment => comment.question_id === q.id).map(formatShareComment)
+      };
+    })
+  };
+}
+
+async function buildSharedAnalysis(share) {
+  const row = await findCvAnalysisForUser(share.analysis_id, share.user_id);
+
+  // As with sessions, the CV text is not shared; only the analysis of it.
+  return {
+    analysis: typeof row.analysis === 'string' ? JSON.parse(row.analysis) : row.analysis,
+    createdAt: row.created_at
+  };
+}
+
+router.get('/:token', publicShareLimiter, async (req, res) => {
+  try {
+    const { share, error } = await resolveShareToken(req.params.token);
+    if (error) return sendShareError(res, error);
+
+    const content = share.session_id ? await buildSharedSession(share) : await buildSharedAnalysis(share);
+    await recordShareView(share.id);
+
+    return res.json({
+      success: true,
+      type: share.session_id ? 'session' : 'cv_analysis',
+      label: share.label,
+      allowComments: Boolean(share.allow_comments),
+      expiresAt: share.expires_at,
+      ...content
+    });
+  } catch (error) {
+    console.error('Error serving shared content:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load shared content',
+      details: error.message
+    });
+  }
+});
+
+// Reviewer comment on one question of a shared session: { questionId,
+// comment, authorName? }.
+router.post('/:token/comments', shareCommentLimiter, async (req, res) => {
+  try {
+    const { questionId, comment, authorName } = req.body;
+
+    const { share, error } = await resolveShareToken(req.params.token);
+    if (error) return sendShareError(res, error);
+
+    if (!share.allow_comments) {
+      return res.status(403).json({
+        success: false,
+        error: 'Comments are not enabled for this link.',
+        code: 'COMMENTS_DISABLED'
+      });
+    }
+
+    if (typeof comment !== 'string' || !comment.trim() || comment.trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `comment must be between 1 and ${MAX_COMMENT_LENGTH} characters`
+      });
+    }
+
+    if (authorName !== undefined && authorName !== null
+      && (typeof authorName !== 'string' || authorName.trim().length > MAX_AUTHOR_NAME_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `authorName must be a string of at most ${MAX_AUTHOR_NAME_LENGTH} characters`
+      });
+    }
+
+    const questions = await listQuestionsForSession(share.session_id);
+    if (!questions.some(q => q.id === questionId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found in this shared session.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    const commentId = await insertShareComment({
+      shareId: share.id,
+      questionId,
+      authorName: authorName ? authorName.trim() : null,
+      comment: comment.trim()
+    });
+
+    return res.status(201).json({
+      success: true,
+      comment: {
+        id: commentId,
+        questionId,
+        authorName: authorName ? authorName.trim() : null,
+        comment: comment.trim()
+      }
+    });
+  } catch (error) {
+    console.error('Error adding share comment:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add comment',
+      details: error.message
+    });
+  }
+});
+
+export default router;
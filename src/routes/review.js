@@ -0,0 +1,238 @@
+import { Router } from 'express';
+import { withTransaction } from '../lib/dbConnect.js';
+import { findQuestionForUser } from '../repositories/questionRepository.js';
+import {
+  findReviewItemForUser,
+  findReviewItemByQuestion,
+  listDueReviewItems,
+  getReviewCounts,
+  listReviewLogs,
+  deleteReviewItemForUser
+} from '../repositories/reviewRepository.js';
+import { endOfToday, formatReviewItem, enrollQuestion, recordReview, answerReview } from '../lib/reviewQueue.js';
+import { MIN_QUALITY, MAX_QUALITY } from '../lib/srs.js';
+import { MAX_ANSWER_LENGTH } from '../lib/answers.js';
+import { aiLimiter } from '../middleware/rateLimit.js';
+
+const router = Router();
+
+function sendReviewItemNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Review item not found',
+    code: 'REVIEW_ITEM_NOT_FOUND'
+  });
+}
+
+const formatReviewLog = (log) => ({
+  quality: log.quality,
+  source: log.source,
+  score: log.score,
+  answer: log.answer_text,
+  feedback: typeof log.feedback === 'string' ? JSON.parse(log.feedback) : log.feedback,
+  intervalDays: log.interval_days,
+  easiness: Number(log.easiness),
+  reviewedAt: log.reviewed_at
+});
+
+// Questions due today across all of the user's sessions, most overdue first.
+router.get('/due', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const showAnswers = req.query.showAnswers === 'true';
+    const dueBefore = endOfToday();
+
+    const items = await listDueReviewItems(req.user.id, dueBefore, limit);
+    const counts = await getReviewCounts(req.user.id, dueBefore);
+
+    return res.json({
+      success: true,
+      dueBefore,
+      counts: {
+        total: Number(counts.total),
+        due: Number(counts.due),
+        new: Number(counts.new_items),
+        established: Number(counts.established)
+      },
+      items: items.map(item => formatReviewItem(item, showAnswers))
+    });
+  } catch (error) {
+    console.error('Error fetching due reviews:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue',
+      details: error.message
+    });
+  }
+});
+
+// Questions join the queue automatically when an answer to them is graded;
+// this adds one by hand, due immediately.
+router.post('/items', async (req, res) => {
+  try {
+    const { questionId } = req.body;
+
+    if (!Number.isInteger(questionId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'questionId is a required field'
+      });
+    }
+
+    const question = await findQuestionForUser(questionId, req.user.id);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found or you do not have permission to view it.',
+        code: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    await withTransaction(conn => enrollQuestion(req.user.id, question.id, conn));
+    const item = await findReviewItemByQuestion(req.user.id, question.id);
+
+    return res.status(201).json({
+      success: true,
+      item: formatReviewItem(item)
+    });
+  } catch (error) {
+    console.error('Error adding review item:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add question to review queue',
+      details: error.message
+    });
+  }
+});
+
+router.get('/items/:itemId', async (req, res) => {
+  try {
+    const item = await findReviewItemForUser(req.params.itemId, req.user.id);
+    if (!item) return sendReviewItemNotFound(res);
+
+    const logs = await listReviewLogs(item.id);
+
+    return res.json({
+      success: true,
+      item: formatReviewItem(item, req.query.showAnswers === 'true'),
+      history: logs.map(formatReviewLog)
+    });
+  } catch (error) {
+    console.error('Error fetching review item:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review item',
+      details: error.message
+    });
+  }
+});
+
+// Self-rated review: { rating } from 0 (blank) to 5 (perfect recall).
+router.post('/items/:itemId/rate', async (req, res) => {
+  try {
+    const { rating } = req.body;
+
+    if (!Number.isInteger(rating) || rating < MIN_QUALITY || rating > MAX_QUALITY) {
+      return res.status(400).json({
+        success: false,
+        error: `rating must be an integer between ${MIN_QUALITY} and ${MAX_QUALITY}`
+      });
+    }
+
+    const item = await findReviewItemForUser(req.params.itemId, req.user.id);
+    if (!item) return sendReviewItemNotFound(res);
+
+    await withTransaction(conn => recordReview({
+      userId: req.user.id,
+      questionId: item.question_id,
+      quality: rating,
+      source: 'self'
+    }, conn));
+
+    const updated = await findReviewItemForUser(item.id, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      item: formatReviewItem(updated, true)
+    });
+  } catch (error) {
+    console.error('Error recording review:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record review',
+      details: error.message
+    });
+  }
+});
+
+// AI-graded review: the grade reschedules the item. The answer is kept in the
+// item's review history, not as an attempt in the question's session, so it
+// works for questions from finished sessions without reopening them.
+router.post('/items/:itemId/answer', aiLimiter, async (req, res) => {
+  try {
+    const { answer } = req.body;
+
+    if (typeof answer !== 'string' || !answer.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Answer is a required field'
+      });
+    }
+
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Answer must be at most ${MAX_ANSWER_LENGTH} characters`
+      });
+    }
+
+    const item = await findReviewItemForUser(req.params.itemId, req.user.id);
+    if (!item) return sendReviewItemNotFound(res);
+
+    const question = await findQuestionForUser(item.question_id, req.user.id);
+    const grading = await answerReview({
+      userId: req.user.id,
+      question,
+      answerText: answer.trim()
+    });
+
+    const updated = await findReviewItemForUser(item.id, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      graded: Boolean(grading),
+      grading,
+      // If grading failed the schedule is unchanged.
+      rescheduled: Boolean(grading),
+      item: formatReviewItem(updated, true)
+    });
+  } catch (error) {
+    console.error('Error recording review answer:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record review',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/items/:itemId', async (req, res) => {
+  try {
+    const deleted = await deleteReviewItemForUser(req.params.itemId, req.user.id);
+    if (!deleted) return sendReviewItemNotFound(res);
+
+    return res.json({
+      success: true,
+      message: 'Question removed from review queue'
+    });
+  } catch (error) {
+    console.error('Error removing review item:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove review item',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from 'dotenv';
+import { aiLimiter } from '../middleware/rateLimit.js';
 import express from 'express';
 import axios from 'axios';
 
@@ -363,7 +364,7 @@ async function fallbackSearch(cvDetails, location) {
   }
 }
 
-router.post('/search-with-cv', async (req, res) => {
+router.post('/search-with-cv', aiLimiter, async (req, res) => {
   const { cvText, location = '' } = req.body;
 
   if (!cvText || cvText.trim().length < 50) {
@@ -0,0 +1,149 @@
+import { Router } from 'express';
+import { generateRandomToken, hashToken } from '../lib/tokens.js';
+import { findSessionForUser } from '../repositories/sessionRepository.js';
+import { findCvAnalysisForUser } from '../repositories/cvAnalysisRepository.js';
+import {
+  createShare,
+  findShareForUser,
+  listSharesForUser,
+  revokeShare,
+  listShareComments
+} from '../repositories/shareRepository.js';
+import { parseShareInput, formatShare, formatShareComment, shareUrl } from '../lib/shares.js';
+
+const router = Router();
+
+function sendShareNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Share not found',
+    code: 'SHARE_NOT_FOUND'
+  });
+}
+
+// Creates a read-only link to one of the user's sessions or CV analyses. The
+// token is only ever returned here; the database keeps its hash.
+router.post('/', async (req, res) => {
+  try {
+    const { input, errors } = parseShareInput(req.body);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid share',
+        code: 'INVALID_SHARE',
+        errors
+      });
+    }
+
+    const target = input.sessionId
+      ? await findSessionForUser(input.sessionId, req.user.id)
+      : await findCvAnalysisForUser(input.analysisId, req.user.id);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: input.sessionId ? 'Session not found' : 'CV analysis not found',
+        code: input.sessionId ? 'SESSION_NOT_FOUND' : 'ANALYSIS_NOT_FOUND'
+      });
+    }
+
+    if (input.allowComments && !input.sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Comments can only be enabled on session shares',
+        code: 'INVALID_SHARE',
+        errors: ['allowComments is only supported for sessions']
+      });
+    }
+
+    const token = generateRandomToken();
+    const shareId = await createShare({
+      userId: req.user.id,
+      sessionId: input.sessionId,
+      analysisId: input.analysisId,
+      tokenHash: hashToken(token),
+      label: input.label,
+      allowComments: input.allowComments,
+      expiresInDays: input.expiresInDays
+    });
+
+    const share = await findShareForUser(shareId, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      share: formatShare(share),
+      token,
+      url: shareUrl(token)
+    });
+  } catch (error) {
+    console.error('Error creating share:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create share',
+      details: error.message
+    });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const shares = await listSharesForUser(req.user.id);
+
+    return res.json({
+      success: true,
+      shares: shares.map(formatShare)
+    });
+  } catch (error) {
+    console.error('Error fetching shares:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shares',
+      details: error.message
+    });
+  }
+});
+
+router.get('/:shareId/comments', async (req, res) => {
+  try {
+    const share = await findShareForUser(req.params.shareId, req.user.id);
+    if (!share) return sendShareNotFound(res);
+
+    const comments = await listShareComments(share.id);
+
+    return res.json({
+      success: true,
+      share: formatShare(share),
+      comments: comments.map(formatShareComment)
+    });
+  } catch (error) {
+    console.error('Error fetching share comments:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch comments',
+      details: error.message
+    });
+  }
+});
+
+// Revoking is permanent; create a new share to grant access again.
+router.delete('/:shareId', async (req, res) => {
+  try {
+    const share = await findShareForUser(req.params.shareId, req.user.id);
+    if (!share) return sendShareNotFound(res);
+
+    await revokeShare(share.id);
+
+    return res.json({
+      success: true,
+      message: 'Share revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking share:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import { loadProgressStats, parseStatsWeeks } from '../lib/progressStats.js';
+
+const router = Router();
+
+// The signed-in user's progress across all of their sessions. ?weeks= sets
+// how many weeks the weekly series and trends cover (default 12, max 52).
+router.get('/', async (req, res) => {
+  try {
+    const weeks = parseStatsWeeks(req.query.weeks);
+    const stats = await loadProgressStats(req.user.id, weeks);
+
+    return res.json({
+      success: true,
+      ...stats
+    });
+  } catch (error) {
+    console.error('Error fetching progress stats:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch progress statistics',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import { Router } from 'express';
+import {
+  listTemplatesForUser,
+  findTemplateForUser,
+  createTemplate,
+  updateTemplateFields,
+  deleteTemplate
+} from '../repositories/templateRepository.js';
+import { formatTemplate, parseTemplateInput } from '../lib/interviewTemplates.js';
+
+const router = Router();
+
+function sendTemplateNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Template not found',
+    code: 'TEMPLATE_NOT_FOUND'
+  });
+}
+
+function sendBuiltInReadOnly(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'Built-in templates cannot be changed. Create your own template instead.',
+    code: 'TEMPLATE_READ_ONLY'
+  });
+}
+
+function sendInvalidTemplate(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid template',
+    code: 'INVALID_TEMPLATE',
+    errors
+  });
+}
+
+// Built-in templates first, then the user's own.
+router.get('/', async (req, res) => {
+  try {
+    const templates = await listTemplatesForUser(req.user.id);
+
+    return res.json({
+      success: true,
+      templates: templates.map(formatTemplate)
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch templates',
+      details: error.message
+    });
+  }
+});
+
+router.get('/:templateId', async (req, res) => {
+  try {
+    const template = await findTemplateForUser(req.params.templateId, req.user.id);
+    if (!template) return sendTemplateNotFound(res);
+
+    return res.json({
+      success: true,
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error fetching template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch template',
+      details: error.message
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { fields, errors } = parseTemplateInput(req.body);
+    if (errors) return sendInvalidTemplate(res, errors);
+
+    const templateId = await createTemplate(req.user.id, fields);
+    const template = await findTemplateForUser(templateId, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create template',
+      details: error.message
+    });
+  }
+});
+
+// Changes only the properties present in the body. Sessions already generated
+// from the template keep the settings they were generated with.
+router.patch('/:templateId', async (req, res) => {
+  try {
+    const template = await findTemplateForUser(req.params.templateId, req.user.id);
+    if (!template) return sendTemplateNotFound(res);
+    if (template.user_id === null) return sendBuiltInReadOnly(res);
+
+    const { fields, errors } = parseTemplateInput(req.body, { partial: true });
+    if (errors) return sendInvalidTemplate(res, errors);
+
+    await updateTemplateFields(template.id, fields);
+    const updated = await findTemplateForUser(template.id, req.user.id);
+
+    return res.json({
+      success: true,
+      template: formatTemplate(updated)
+    });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update template',
+      details: error.message
+    });
+  }
+});
+
+router.delete('/:templateId', async (req, res) => {
+  try {
+    const template = await findTemplateForUser(req.params.templateId, req.user.id);
+    if (!template) return sendTemplateNotFound(res);
+    if (template.user_id === null) return sendBuiltInReadOnly(res);
+
+    await deleteTemplate(template.id);
+
+    return res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete template',
+      details: error.message
+    });
+  }
+});
+
+export default router;